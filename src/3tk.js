@@ -7,5 +7,9 @@ export { BufferGeometryAnalyzer } from './analyzers/BufferGeometryAnalyzer.js';
 export { STLBinaryExporter } from './exporters/STLBinaryExporter.js';
 export { ConvexGeometry, ConvexBufferGeometry } from './geometries/ConvexGeometry.js';
 export { BufferGeometryMutator } from './analyzers/BufferGeometryMutator.js';
+export { GeometryError } from './analyzers/GeometryError.js';
+export { AbortError } from './analyzers/Progress.js';
+export { MutatorHistory } from './analyzers/MutatorHistory.js';
+export { MutatorWorker } from './analyzers/MutatorWorker.js';
 export { QuickHull } from './geometries/QuickHull.js';
 export { STLExporter } from './exporters/STLExporter.js';
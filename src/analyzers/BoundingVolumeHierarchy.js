@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+
+// The most faces in a leaf of the tree.
+const LEAF_SIZE = 8;
+
+// A bounding volume hierarchy of the faces of a mesh.  It quickly
+// finds the faces that might touch a box and the faces hit by a ray.
+//
+// positions is an array of numbers like in BufferGeometryMutator:
+// every triple is a point and every 3 points is a face.  faces is a
+// list of face indices (0 to faceCount-1) to put in the tree, all of
+// them if it's not provided.  The tree doesn't copy the positions so
+// it must be rebuilt if they change.
+class BoundingVolumeHierarchy {
+    constructor(positions, faces) {
+        this.positions = positions;
+        if (!faces) {
+            faces = Array.from(new Array(positions.length/9).keys());
+        }
+        // The box and center of each face.
+        this.faceBoxes = new Map();
+        this.centers = new Map();
+        for (let faceIndex of faces) {
+            let box = new THREE.Box3();
+            for (let position = faceIndex*9; position < faceIndex*9 + 9; position += 3) {
+                box.expandByPoint(new THREE.Vector3().fromArray(positions, position));
+            }
+            this.faceBoxes.set(faceIndex, box);
+            this.centers.set(faceIndex, box.getCenter());
+        }
+        this.root = this.build(Array.from(this.faceBoxes.keys()));
+
+        // static variables needed temporarily for methods below.
+        this.vertexA = new THREE.Vector3();
+        this.vertexB = new THREE.Vector3();
+        this.vertexC = new THREE.Vector3();
+        this.edge1 = new THREE.Vector3();
+        this.edge2 = new THREE.Vector3();
+        this.pVector = new THREE.Vector3();
+        this.tVector = new THREE.Vector3();
+        this.qVector = new THREE.Vector3();
+    }
+
+    // Make the tree for the faces.  Each node has a box and either
+    // faces, for a leaf, or a left and right node.
+    build(faces) {
+        let root = {faces: faces};
+        let stack = [root];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            node.box = new THREE.Box3();
+            for (let faceIndex of node.faces) {
+                node.box.union(this.faceBoxes.get(faceIndex));
+            }
+            if (node.faces.length <= LEAF_SIZE) {
+                continue;
+            }
+            // Split at the median along the longest side of the box.
+            let size = node.box.getSize();
+            let axis = (size.x >= size.y && size.x >= size.z) ? 'x' : (size.y >= size.z) ? 'y' : 'z';
+            let sortedFaces = node.faces.slice(0).sort((a, b) => this.centers.get(a)[axis] - this.centers.get(b)[axis]);
+            let middle = Math.floor(sortedFaces.length / 2);
+            node.left = {faces: sortedFaces.slice(0, middle)};
+            node.right = {faces: sortedFaces.slice(middle)};
+            node.faces = null;
+            stack.push(node.left, node.right);
+        }
+        return root;
+    }
+
+    // Returns the bounding box of all the faces.
+    boundingBox() {
+        return this.root.box.clone();
+    }
+
+    // Returns a list of faces whose bounding boxes touch the box.
+    facesInBox(box) {
+        let faces = [];
+        let stack = [this.root];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (!node.box.intersectsBox(box)) {
+                continue;
+            }
+            if (node.faces) {
+                for (let faceIndex of node.faces) {
+                    if (this.faceBoxes.get(faceIndex).intersectsBox(box)) {
+                        faces.push(faceIndex);
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+        return faces;
+    }
+
+    // Call callback(faceIndex, distance) for every face that the ray
+    // hits, from either side.  The distance is along the ray, in
+    // units of the ray's direction.
+    raycast(ray, callback) {
+        let stack = [this.root];
+        let hit = new THREE.Vector3();
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (!ray.intersectsBox(node.box) && !node.box.containsPoint(ray.origin)) {
+                continue;
+            }
+            if (node.faces) {
+                for (let faceIndex of node.faces) {
+                    let distance = this.intersectFace(ray, faceIndex);
+                    if (distance !== null) {
+                        callback(faceIndex, distance);
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+    }
+
+    // The nearest face that the ray hits, not counting hits closer
+    // than minDistance.  Returns [faceIndex, distance] or null.
+    nearestHit(ray, minDistance = 0) {
+        let nearest = null;
+        this.raycast(ray, (faceIndex, distance) => {
+            if (distance > minDistance && (nearest === null || distance < nearest[1])) {
+                nearest = [faceIndex, distance];
+            }
+        });
+        return nearest;
+    }
+
+    // Returns a list of faces that the triangle of THREE.Vector3s a, b
+    // and c crosses or touches.  Faces in the same plane as the
+    // triangle don't count.
+    facesIntersectingTriangle(a, b, c) {
+        let ray = new THREE.Ray();
+        // Does the segment from start to end cross the triangle pqr?
+        let crosses = (start, end, p, q, r) => {
+            ray.origin.copy(start);
+            ray.direction.subVectors(end, start);
+            let distance = this.intersectTriangle(ray, p, q, r);
+            return distance !== null && distance <= 1;
+        };
+        return this.facesInBox(new THREE.Box3().setFromPoints([a, b, c])).filter((faceIndex) => {
+            let [p, q, r] = [0, 3, 6].map((offset) => new THREE.Vector3().fromArray(this.positions, faceIndex*9 + offset));
+            return crosses(a, b, p, q, r) || crosses(b, c, p, q, r) || crosses(c, a, p, q, r) ||
+                crosses(p, q, a, b, c) || crosses(q, r, a, b, c) || crosses(r, p, a, b, c);
+        });
+    }
+
+    // Returns the distance along the ray to the face or null if
+    // it's not hit.
+    intersectFace(ray, faceIndex) {
+        return this.intersectTriangle(ray,
+                                      this.vertexA.fromArray(this.positions, faceIndex*9),
+                                      this.vertexB.fromArray(this.positions, faceIndex*9 + 3),
+                                      this.vertexC.fromArray(this.positions, faceIndex*9 + 6));
+    }
+
+    // Returns the distance along the ray to the triangle of
+    // THREE.Vector3s a, b and c or null if it's not hit.  Uses the
+    // Möller–Trumbore algorithm:
+    // https://en.wikipedia.org/wiki/M%C3%B6ller%E2%80%93Trumbore_intersection_algorithm
+    intersectTriangle(ray, a, b, c) {
+        this.edge1.subVectors(b, a);
+        this.edge2.subVectors(c, a);
+        this.pVector.crossVectors(ray.direction, this.edge2);
+        let determinant = this.edge1.dot(this.pVector);
+        if (determinant == 0) {
+            return null; // The ray is parallel to the face.
+        }
+        this.tVector.subVectors(ray.origin, a);
+        let u = this.tVector.dot(this.pVector) / determinant;
+        if (u < 0 || u > 1) {
+            return null;
+        }
+        this.qVector.crossVectors(this.tVector, this.edge1);
+        let v = ray.direction.dot(this.qVector) / determinant;
+        if (v < 0 || u + v > 1) {
+            return null;
+        }
+        let distance = this.edge2.dot(this.qVector) / determinant;
+        return distance >= 0 ? distance : null;
+    }
+}
+
+export { BoundingVolumeHierarchy };
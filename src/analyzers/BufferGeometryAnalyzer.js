@@ -5,6 +5,9 @@
 
 import * as THREE from 'three'
 import { BufferGeometryMutator } from './BufferGeometryMutator'
+import { QuickHull } from '../geometries/QuickHull'
+import { arrangeOptions, footprint, packFootprints } from './BuildPlate'
+import { BoundingVolumeHierarchy } from './BoundingVolumeHierarchy'
 
 /**
  * Calculate the key for the "trio" - 3 consecutive numbers in `array` starting from `startIndex`
@@ -22,6 +25,68 @@ function keyForTrio( array, startIndex, precisionPoints = 4 ) {
     }
 }
 
+/**
+ * Array of the attribute `name` where every 3 consecutive vertices (9 numbers) are a face.
+ * An indexed geometry is expanded through its index, a non-indexed geometry returns its own array.
+ */
+function faceVertexArray( geometry, name ) {
+
+    var attribute = geometry.attributes[name];
+    if ( ! geometry.index ) {
+        return attribute.array;
+    }
+
+    var index = geometry.index;
+    var array = new Float32Array( index.count * 3 );
+    for ( var i = 0; i < index.count; i ++ ) {
+        var vertex = index.getX( i );
+        array[ i*3 ] = attribute.getX( vertex );
+        array[ i*3+1 ] = attribute.getY( vertex );
+        array[ i*3+2 ] = attribute.getZ( vertex );
+    }
+    return array;
+}
+
+/**
+ * Area of the face whose first position is at faceIndex in `positions`
+ */
+function faceArea( positions, faceIndex ) {
+
+    var vA = new THREE.Vector3().fromArray( positions, faceIndex );
+    var vB = new THREE.Vector3().fromArray( positions, faceIndex+3 );
+    var vC = new THREE.Vector3().fromArray( positions, faceIndex+6 );
+    return new THREE.Triangle( vA, vB, vC ).area();
+}
+
+/**
+ * Add a color attribute to `geometry` that shows how bad each face is.  severities has a number for each face, from 0
+ * for just bad (yellow) to 1 for the worst (red), or -1 for faces that are fine (white).  A vertex shared by faces gets
+ * the most.
+ */
+function addSeverityColors( geometry, severities ) {
+
+    var vertexSeverities = new Float32Array( geometry.attributes.position.count ).fill( -1 );
+    var index = geometry.index;
+    severities.forEach( function( severity, face ) {
+        for ( var v = 0; v < 3; v++ ) {
+            var vertexIndex = index ? index.getX( face*3 + v ) : face*3 + v;
+            vertexSeverities[vertexIndex] = Math.max( vertexSeverities[vertexIndex], severity );
+        }
+    });
+    var colors = new Float32Array( vertexSeverities.length * 3 );
+    var color = new THREE.Color();
+    var white = new THREE.Color( 1, 1, 1 ), yellow = new THREE.Color( 1, 1, 0 ), red = new THREE.Color( 1, 0, 0 );
+    for ( var i = 0; i < vertexSeverities.length; i++ ) {
+        if ( vertexSeverities[i] >= 0 ) {
+            color.copy( yellow ).lerp( red, vertexSeverities[i] );
+        } else {
+            color.copy( white );
+        }
+        color.toArray( colors, i*3 );
+    }
+    geometry.addAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
+}
+
 /**
  * map of { key (= xyz coorindate) -> array of position indices sharing the same key }
  */
@@ -41,6 +106,117 @@ function vertexPositionMap( positions, precisionPoints ) {
     return map;
 }
 
+/**
+ * The positions of the faces of `geometry` and the key of each vertex, as in keyForTrio(), for slicing with
+ * sliceFaces().  Making them once lets sliceLayers() cut every layer without reading the geometry again
+ */
+function sliceableFaces( geometry, precisionPoints ) {
+
+    var positions = faceVertexArray(geometry, 'position');
+    var keys = [];
+    for ( var posIndex = 0; posIndex < positions.length-2; posIndex += 3 ) {
+        keys.push( keyForTrio( positions, posIndex, precisionPoints ) );
+    }
+    return { positions, keys };
+}
+
+/**
+ * BufferGeometryAnalyzer.slice() of the faces from sliceableFaces()
+ */
+function sliceFaces( faces, plane ) {
+
+    var positions = faces.positions;
+    var vertices = [ new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3() ];
+
+    // Map of { key of both ends of an edge, in sorted order -> point where the edge crosses the plane }
+    // so that faces sharing the edge share the point
+    var crossings = new Map();
+    var crossing = function( posIndex1, posIndex2, vertex1, vertex2, distance1, distance2 ) {
+
+        var [ key1, key2 ] = [ faces.keys[ posIndex1/3 ], faces.keys[ posIndex2/3 ] ];
+        var key = key1 < key2 ? key1 + '|' + key2 : key2 + '|' + key1;
+        if ( ! crossings.has( key ) ) {
+            crossings.set( key, vertex1.clone().lerp( vertex2, distance1 / ( distance1 - distance2 ) ) );
+        }
+        return key;
+    }
+
+    // Map of { key of the start of a segment -> array of segments from there }
+    var segments = new Map();
+    for ( var faceIndex = 0; faceIndex < positions.length-8; faceIndex += 9 ) {
+
+        var distances = [];
+        for ( var v = 0; v < 3; v++ ) {
+            vertices[v].fromArray( positions, faceIndex + v*3 );
+            distances.push( plane.distanceToPoint( vertices[v] ) );
+        }
+        // Points on the plane count as above it so that each face crosses the plane at no more than 2 edges.
+        // Going around the face, the segment starts where the face goes down through the plane and ends
+        // where it comes back up.  That leaves the outside of the shape on the right of the segment,
+        // looking against the normal of the plane.
+        var start = null, end = null;
+        for ( v = 0; v < 3; v++ ) {
+            var next = ( v+1 ) % 3;
+            if ( ( distances[v] >= 0 ) !== ( distances[next] >= 0 ) ) {
+                var key = crossing( faceIndex + v*3, faceIndex + next*3, vertices[v], vertices[next], distances[v], distances[next] );
+                if ( distances[v] >= 0 ) {
+                    start = key;
+                } else {
+                    end = key;
+                }
+            }
+        }
+        if ( start === null ) {
+            continue;
+        }
+        if ( ! segments.has( start ) ) {
+            segments.set( start, [] );
+        }
+        segments.get( start ).push( { start, end } );
+    }
+
+    // Follow the segments around each loop
+    var loops = [];
+    segments.forEach( function( startSegments ) {
+
+        while ( startSegments.length > 0 ) {
+            var segment = startSegments.pop();
+            start = segment.start;
+            var points = [];
+            while ( segment && segment.end !== start ) {
+                var point = crossings.get( segment.start );
+                if ( points.length === 0 || ! point.equals( points[ points.length-1 ] ) ) {
+                    points.push( point );
+                }
+                var nextSegments = segments.get( segment.end );
+                segment = nextSegments && nextSegments.pop();
+            }
+            if ( ! segment ) {
+                continue; // The loop doesn't close
+            }
+            point = crossings.get( segment.start );
+            if ( points.length === 0 || ! point.equals( points[ points.length-1 ] ) ) {
+                points.push( point );
+            }
+            while ( points.length > 1 && points[ points.length-1 ].equals( points[0] ) ) {
+                points.pop();
+            }
+            if ( points.length < 3 ) {
+                continue;
+            }
+            // Shoelace formula, in 3D
+            var cross = new THREE.Vector3();
+            for ( var i = 0; i < points.length; i++ ) {
+                cross.add( new THREE.Vector3().crossVectors( points[i], points[ ( i+1 ) % points.length ] ) );
+            }
+            var area = cross.dot( plane.normal ) / plane.normal.length() / 2;
+            loops.push( { points, area, hole: area < 0 } );
+        }
+    });
+
+    return loops;
+}
+
 /**
  * The gragh of how faces are connected (touching) each other
  */
@@ -120,27 +296,28 @@ var BufferGeometryAnalyzer = {
      *
      * parameters:
      *   - precisionPoints: number of decimal points, e.g. 4 for epsilon of 0.0001. 2 vertices are considered "the same" when they are with the distance defined by precisionPoints.  -1 for full precision
+     *   - indexed: true to return indexed Geometries
      */
 
-    isolatedGeometries: function ( geometry, precisionPoints=-1 ) {
+    isolatedGeometries: function ( geometry, precisionPoints=-1, indexed=false ) {
         let connectedSTL = new BufferGeometryMutator().fromBufferGeometry(geometry);
-        return connectedSTL.isolatedBufferGeometries();
+        return connectedSTL.isolatedBufferGeometries(indexed);
     },
 
     /**
      * surfaces: groups of contious faces that share the same normal
+     *
+     * faceIndices are indices of the first position of the face, i.e., 9 x the number of the face.
+     * For indexed geometry, they index the geometry as expanded by toNonIndexed(), not the position attribute:
+     * the vertices of the face are geometry.index.array[faceIndex/3], [faceIndex/3+1] and [faceIndex/3+2].
      */
     surfaces: function( geometry, precisionPoints=4 ) {
 
-        if (geometry.index) {
-            throw new Error('Can not handle indexed faces right now. Open an issue to request it at "https://github.com/kennethjiang/3tk/issues/new"');
-        }
-
         if (geometry.attributes.normal === undefined) {
             throw new Error('BufferGeometry is missing normals. Can not calculate surfaces');
         }
-        var normals = geometry.attributes.normal.array;
-        var positions = geometry.attributes.position.array;
+        var normals = faceVertexArray(geometry, 'normal');
+        var positions = faceVertexArray(geometry, 'position');
 
         var vertexPosMap = vertexPositionMap( positions, precisionPoints );
 
@@ -190,9 +367,9 @@ var BufferGeometryAnalyzer = {
 
     sortedSurfacesByArea: function( geometry, precisionPoint=4 ) {
 
-        var positions = geometry.attributes.position.array;
+        var positions = faceVertexArray(geometry, 'position');
 
-        // This is not really the area of the face. But it seems to be proportional to the area:
+        // The cross product of 2 edges is as long as the parallelogram they make, twice the area of the face:
         // https://github.com/mrdoob/three.js/blob/dev/src/core/Geometry.js#L435
         var areaOfFace = function(faceIndex) {
 
@@ -205,7 +382,7 @@ var BufferGeometryAnalyzer = {
             ab.subVectors( vA, vB );
             cb.cross( ab );
 
-            return cb.length();
+            return cb.length() / 2;
         }
 
         var surfaces = BufferGeometryAnalyzer.surfaces(geometry, precisionPoint);
@@ -214,6 +391,715 @@ var BufferGeometryAnalyzer = {
         });
 
         return surfaces.sort( function(a,b) { return b.area - a.area; } );
+    },
+
+    /**
+     * Description: Everything that can make a Geometry fail to slice, in one place
+     *
+     * parameters:
+     *   - options.precisionPoints: number of decimal points, e.g. 4 for epsilon of 0.0001. 2 vertices are considered "the same" when they are with the distance defined by precisionPoints.  -1 for full precision
+     *
+     * Return:
+     *   {
+     *     nonManifoldEdges: Array of { start, end, faceIndices } for edges shared by more than 2 faces
+     *     openBoundaryLoops: Array of arrays of Vector3, the points around each hole in the surface
+     *     degenerateFaces: faceIndices of faces without area
+     *     inconsistentlyWoundFaces: faceIndices of faces that face the other way from the rest of their island
+     *     islands: Array of { faceIndices } of faces connected by edges
+     *     volume: total volume of the islands, each positive whichever way its faces point. Only meaningful when there are no open boundary loops
+     *     surfaceArea: total area of all faces
+     *     boundingBox: Box3 of all the vertices
+     *     printable: true when the surface is closed, manifold and consistently wound
+     *   }
+     *
+     * Like in surfaces(), faceIndices are indices of the first position of the face, i.e., 9 x the number of the face.
+     */
+    printabilityReport: function( geometry, options ) {
+
+        var precisionPoints = ( options && options.precisionPoints !== undefined ) ? options.precisionPoints : 4;
+        var positions = faceVertexArray(geometry, 'position');
+
+        var report = {
+            nonManifoldEdges: [],
+            openBoundaryLoops: [],
+            degenerateFaces: [],
+            inconsistentlyWoundFaces: [],
+            islands: [],
+            volume: 0,
+            surfaceArea: 0,
+            boundingBox: new THREE.Box3(),
+            printable: false
+        };
+
+        var vA = new THREE.Vector3(), vB = new THREE.Vector3(), vC = new THREE.Vector3();
+        var cb = new THREE.Vector3(), ab = new THREE.Vector3();
+
+        // Map of { key of both ends of an edge, in sorted order -> array of { faceIndex, start, end } }
+        // where start and end are the position indices of the edge in the direction of the face.
+        var edges = new Map();
+        var signedVolumes = new Map(); // faceIndex -> volume of the tetrahedron from the origin to the face
+        var facesWithoutEdges = new Set();
+
+        for ( var faceIndex = 0; faceIndex < positions.length-8; faceIndex += 9 ) {
+
+            vA.fromArray( positions, faceIndex );
+            vB.fromArray( positions, faceIndex+3 );
+            vC.fromArray( positions, faceIndex+6 );
+            report.boundingBox.expandByPoint( vA ).expandByPoint( vB ).expandByPoint( vC );
+
+            cb.subVectors( vC, vB );
+            ab.subVectors( vA, vB );
+            cb.cross( ab );
+            var area = cb.length() / 2;
+            report.surfaceArea += area;
+            // Volume of the tetrahedron from the origin to the face, negative for faces facing the origin
+            signedVolumes.set( faceIndex, vA.dot( vB.cross( vC ) ) / 6 );
+
+            var keys = [0, 3, 6].map( function( offset ) { return keyForTrio( positions, faceIndex+offset, precisionPoints ); } );
+            if ( keys[0] === keys[1] || keys[1] === keys[2] || keys[2] === keys[0] ) {
+                // Points that are the same have no edge between them
+                report.degenerateFaces.push( faceIndex );
+                facesWithoutEdges.add( faceIndex );
+                continue;
+            }
+            if ( area === 0 ) {
+                // 3 points in a line still have edges that neighbors connect to
+                report.degenerateFaces.push( faceIndex );
+            }
+
+            for ( var v = 0; v < 3; v++ ) {
+                var start = faceIndex + v*3;
+                var end = faceIndex + ( v+1 ) % 3 * 3;
+                var edgeKey = keys[v] < keys[(v+1) % 3] ? keys[v] + '|' + keys[(v+1) % 3] : keys[(v+1) % 3] + '|' + keys[v];
+                if ( ! edges.has( edgeKey ) ) {
+                    edges.set( edgeKey, [] );
+                }
+                edges.get( edgeKey ).push( { faceIndex, start, end } );
+            }
+        }
+
+        // Faces sharing an edge are in the same island.  Those sharing a manifold edge also
+        // agree on which way they face when they go along it in opposite directions.
+        var faceEdges = new Map(); // faceIndex -> array of edge uses of the face's edges
+        edges.forEach( function( uses ) {
+
+            if ( uses.length === 1 ) {
+                return;
+            }
+            if ( uses.length > 2 ) {
+                report.nonManifoldEdges.push( {
+                    start: new THREE.Vector3().fromArray( positions, uses[0].start ),
+                    end: new THREE.Vector3().fromArray( positions, uses[0].end ),
+                    faceIndices: uses.map( function( use ) { return use.faceIndex; } )
+                } );
+            }
+            uses.forEach( function( use ) {
+                if ( ! faceEdges.has( use.faceIndex ) ) {
+                    faceEdges.set( use.faceIndex, [] );
+                }
+                faceEdges.get( use.faceIndex ).push( uses );
+            });
+        });
+
+        var neighboringFacesOf = function( faceIndex ) {
+
+            var neighboringFaces = new Set();
+            ( faceEdges.get( faceIndex ) || [] ).forEach( function( uses ) {
+                uses.forEach( function( use ) { neighboringFaces.add( use.faceIndex/9 ); } );
+            });
+            return neighboringFaces;
+        }
+
+        var graph = new FaceGraph(positions, precisionPoints, neighboringFacesOf);
+        report.islands = graph.floodFill().filter( function( island ) {
+            return ! facesWithoutEdges.has( island.faceIndices[0] );
+        });
+
+        // Walk each island from its first face, flipping the orientation whenever two faces go the
+        // same way along a manifold edge.  The faces in the minority orientation are the wrong way.
+        // The island's volume is summed with the faces turned to its first face and counted as
+        // positive, so that islands facing different ways don't cancel out.
+        report.islands.forEach( function( island ) {
+
+            var orientations = new Map();
+            orientations.set( island.faceIndices[0], 1 );
+            var queue = [ island.faceIndices[0] ];
+            while ( queue.length > 0 ) {
+                var face = queue.pop();
+                ( faceEdges.get( face ) || [] ).forEach( function( uses ) {
+                    if ( uses.length !== 2 ) {
+                        return;
+                    }
+                    var [ use, other ] = uses[0].faceIndex === face ? uses : [ uses[1], uses[0] ];
+                    if ( orientations.has( other.faceIndex ) ) {
+                        return;
+                    }
+                    var sameDirection = keyForTrio( positions, use.start, precisionPoints ) === keyForTrio( positions, other.start, precisionPoints );
+                    orientations.set( other.faceIndex, sameDirection ? -orientations.get( face ) : orientations.get( face ) );
+                    queue.push( other.faceIndex );
+                });
+            }
+
+            var flipped = island.faceIndices.filter( function( faceIndex ) { return orientations.get( faceIndex ) === -1; } );
+            var unflipped = island.faceIndices.filter( function( faceIndex ) { return orientations.get( faceIndex ) === 1; } );
+            Array.prototype.push.apply( report.inconsistentlyWoundFaces, flipped.length <= unflipped.length ? flipped : unflipped );
+
+            var islandVolume = island.faceIndices.reduce( function( sum, faceIndex ) {
+                return sum + ( orientations.get( faceIndex ) || 1 ) * signedVolumes.get( faceIndex );
+            }, 0 );
+            report.volume += Math.abs( islandVolume );
+        });
+        report.inconsistentlyWoundFaces.sort( function( a, b ) { return a - b; } );
+
+        // Follow the edges used by only 1 face, in the direction of the face, around each hole.
+        var openEdges = new Map(); // key of the start of the edge -> array of open edges from there
+        edges.forEach( function( uses ) {
+
+            if ( uses.length === 1 ) {
+                var startKey = keyForTrio( positions, uses[0].start, precisionPoints );
+                if ( ! openEdges.has( startKey ) ) {
+                    openEdges.set( startKey, [] );
+                }
+                openEdges.get( startKey ).push( uses[0] );
+            }
+        });
+        openEdges.forEach( function( startEdges ) {
+
+            while ( startEdges.length > 0 ) {
+                var loop = [];
+                var edge = startEdges.pop();
+                while ( edge ) {
+                    loop.push( new THREE.Vector3().fromArray( positions, edge.start ) );
+                    var nextEdges = openEdges.get( keyForTrio( positions, edge.end, precisionPoints ) );
+                    edge = nextEdges && nextEdges.pop();
+                }
+                report.openBoundaryLoops.push( loop );
+            }
+        });
+
+        report.printable = report.nonManifoldEdges.length === 0 && report.openBoundaryLoops.length === 0 &&
+            report.inconsistentlyWoundFaces.length === 0;
+
+        return report;
+    },
+
+    /**
+     * Description: Cross section of the Geometry where it crosses a plane. The mesh is not changed
+     *
+     * parameters:
+     *   - plane: THREE.Plane
+     *   - precisionPoints: number of decimal points, e.g. 4 for epsilon of 0.0001. 2 vertices are considered "the same" when they are with the distance defined by precisionPoints.  -1 for full precision
+     *
+     * Return:
+     *   Array of { points, area, hole } for each closed loop
+     *     points: Array of Vector3 on the plane, in order around the loop
+     *     area: the area inside the loop, negative for a hole
+     *     hole: true when the loop goes clockwise looking against the normal of the plane, around a hole in the cross section
+     *
+     * Outside loops go counter-clockwise looking against the normal of the plane, like the faces of a Geometry.
+     * Where the surface isn't closed, the loops don't close and they are left out.
+     */
+    slice: function( geometry, plane, precisionPoints=4 ) {
+
+        return sliceFaces( sliceableFaces( geometry, precisionPoints ), plane );
+    },
+
+    /**
+     * Description: Cross sections of the Geometry in layers, like a slicer for printing
+     *
+     * parameters:
+     *   - layerHeight: the distance between layers
+     *   - direction: Vector3 in which the layers are stacked
+     *   - precisionPoints: as in slice()
+     *
+     * Return:
+     *   Array of { height, plane, loops }, from the lowest layer up, where loops are as returned by slice().
+     *   Each layer is sliced in the middle, at height along the direction.
+     */
+    sliceLayers: function( geometry, layerHeight, direction=new THREE.Vector3(0, 0, 1), precisionPoints=4 ) {
+
+        var normal = direction.clone().normalize();
+        var faces = sliceableFaces( geometry, precisionPoints );
+        var positions = faces.positions;
+        var [ min, max ] = [ Infinity, -Infinity ];
+        var vertex = new THREE.Vector3();
+        for ( var posIndex = 0; posIndex < positions.length-2; posIndex += 3 ) {
+            var height = vertex.fromArray( positions, posIndex ).dot( normal );
+            min = Math.min( min, height );
+            max = Math.max( max, height );
+        }
+
+        var layers = [];
+        for ( var layer = 0; min + ( layer + 0.5 ) * layerHeight < max; layer++ ) {
+            height = min + ( layer + 0.5 ) * layerHeight;
+            var plane = new THREE.Plane( normal.clone(), -height );
+            layers.push( { height, plane, loops: sliceFaces( faces, plane ) } );
+        }
+        return layers;
+    },
+
+    /**
+     * Description: Faces that hang over nothing when printed and need support
+     *
+     * parameters:
+     *   - options.direction: Vector3 pointing down during printing, -Z by default
+     *   - options.angle: in degrees, the most that a wall can lean out from vertical and still print without support. 45 by default
+     *   - options.precisionPoints: as in surfaces()
+     *   - options.colors: true to set a "color" attribute on the geometry that shows the overhangs, from yellow at the angle to red for faces pointing straight down
+     *
+     * Return:
+     *   {
+     *     angles: Array with the angle of each face from the direction, in degrees. 0 is a face pointing straight down
+     *     regions: Array of { faceIndices, area } of connected overhanging faces, largest first
+     *     area: total area of the overhanging faces
+     *   }
+     *
+     * Faces on the bottom of the geometry are on the bed and don't overhang. Like in surfaces(), faceIndices are
+     * indices of the first position of the face, i.e., 9 x the number of the face.
+     */
+    overhangs: function( geometry, options ) {
+
+        options = options || {};
+        var direction = ( options.direction || new THREE.Vector3( 0, 0, -1 ) ).clone().normalize();
+        var maxAngle = options.angle !== undefined ? options.angle : 45;
+        var precisionPoints = options.precisionPoints !== undefined ? options.precisionPoints : 4;
+        var positions = faceVertexArray(geometry, 'position');
+
+        // The bed is at the lowest point in the direction
+        var bed = -Infinity;
+        var vertex = new THREE.Vector3();
+        for ( var posIndex = 0; posIndex < positions.length-2; posIndex += 3 ) {
+            bed = Math.max( bed, vertex.fromArray( positions, posIndex ).dot( direction ) );
+        }
+        var tolerance = precisionPoints >= 0 ? Math.pow( 10, -precisionPoints ) : 0;
+
+        var vA = new THREE.Vector3(), vB = new THREE.Vector3(), vC = new THREE.Vector3();
+        var cb = new THREE.Vector3(), ab = new THREE.Vector3();
+        var angles = [];
+        var areas = [];
+        var overhanging = [];
+        for ( var faceIndex = 0; faceIndex < positions.length-8; faceIndex += 9 ) {
+
+            vA.fromArray( positions, faceIndex );
+            vB.fromArray( positions, faceIndex+3 );
+            vC.fromArray( positions, faceIndex+6 );
+            cb.subVectors( vC, vB );
+            ab.subVectors( vA, vB );
+            cb.cross( ab );
+            areas[faceIndex/9] = cb.length() / 2;
+            angles[faceIndex/9] = areas[faceIndex/9] > 0 ? THREE.Math.radToDeg( cb.angleTo( direction ) ) : 90;
+            var onBed = [ vA, vB, vC ].every( function( v ) { return v.dot( direction ) >= bed - tolerance; } );
+            // A wall leaning out by more than the angle has a normal less than 90 - angle from straight down
+            overhanging[faceIndex/9] = ! onBed && angles[faceIndex/9] < 90 - maxAngle;
+        }
+
+        var vertexPosMap = vertexPositionMap( positions, precisionPoints );
+
+        // Overhanging faces are neighboring when they share at least 1 vertex
+        var neighboringFacesOf = function( faceIndex ) {
+
+            var neighboringFaces = new Set();
+            if ( ! overhanging[faceIndex/9] ) {
+                return neighboringFaces;
+            }
+            for ( var v = 0; v < 3; v++ ) {
+                vertexPosMap[ keyForTrio( positions, faceIndex + v*3, precisionPoints ) ].forEach( function( posIndex ) {
+                    if ( overhanging[ Math.floor( posIndex/9 ) ] ) {
+                        neighboringFaces.add( Math.floor( posIndex/9 ) );
+                    }
+                });
+            }
+            return neighboringFaces;
+        }
+
+        var graph = new FaceGraph(positions, precisionPoints, neighboringFacesOf);
+        var regions = graph.floodFill().filter( function( region ) { return overhanging[ region.faceIndices[0]/9 ]; } );
+        regions.forEach( function( region ) {
+            region.area = region.faceIndices.reduce( function( sum, faceIndex ) { return sum + areas[faceIndex/9]; }, 0 );
+        });
+        regions.sort( function( a, b ) { return b.area - a.area; } );
+
+        if ( options.colors ) {
+            // How far past the angle each face is, from 0 at the angle to 1 for straight down
+            addSeverityColors( geometry, angles.map( function( angle, face ) {
+                return overhanging[face] ? 1 - angle / ( 90 - maxAngle ) : -1;
+            }));
+        }
+
+        return {
+            angles,
+            regions,
+            area: regions.reduce( function( sum, region ) { return sum + region.area; }, 0 )
+        };
+    },
+
+    /**
+     * Description: Ways to turn the geometry for printing, best first
+     *
+     * The candidates are the current orientation and the ones that put each of the largest flat surfaces, from
+     * sortedSurfacesByArea(), and the largest faces of the convex hull, from QuickHull, down on the bed.  Each is
+     * scored by:
+     *   - overhangArea: the area of the faces that overhang, as in overhangs()
+     *   - supportContactArea: the area of the overhangs seen from below, where the supports touch them
+     *   - height: the height of the print
+     *   - footprintArea: the area of the faces on the bed, which hold the print down
+     *
+     * parameters:
+     *   - options.candidates: the number of surfaces and of convex hull faces to try. 10 by default
+     *   - options.angle: as in overhangs()
+     *   - options.weights: { overhang, supportContact, height, footprint } for how much each matters in the score.
+     *     Areas are divided by the surface area and the height by the size of the bounding box so that they add up
+     *   - options.precisionPoints: as in surfaces()
+     *
+     * Return:
+     *   Array of { quaternion, score, overhangArea, supportContactArea, height, footprintArea }, lowest score first.
+     *   quaternion is a THREE.Quaternion that turns the geometry to the orientation with -Z down
+     */
+    suggestOrientations: function( geometry, options ) {
+
+        options = options || {};
+        var candidateCount = options.candidates !== undefined ? options.candidates : 10;
+        var weights = Object.assign( { overhang: 1, supportContact: 1, height: 0.5, footprint: 1 }, options.weights );
+        var precisionPoints = options.precisionPoints !== undefined ? options.precisionPoints : 4;
+        var down = new THREE.Vector3( 0, 0, -1 );
+
+        var positions = faceVertexArray(geometry, 'position');
+        var faceGeometry = new THREE.BufferGeometry();
+        faceGeometry.addAttribute( 'position', new THREE.BufferAttribute( new Float32Array( positions ), 3 ) );
+        // surfaces() needs the normals of the faces
+        faceGeometry.computeVertexNormals();
+
+        // The normals that are turned to point down, with no two the same
+        var normals = [ down ];
+        var addNormal = function( normal ) {
+            if ( normals.every( function( other ) { return other.angleTo( normal ) > THREE.Math.degToRad( 1 ); } ) ) {
+                normals.push( normal.clone().normalize() );
+            }
+        }
+        BufferGeometryAnalyzer.sortedSurfacesByArea( faceGeometry, precisionPoints ).slice( 0, candidateCount ).forEach( function( surface ) {
+            addNormal( surface.normal );
+        });
+        var points = [];
+        for ( var posIndex = 0; posIndex < positions.length-2; posIndex += 3 ) {
+            points.push( new THREE.Vector3().fromArray( positions, posIndex ) );
+        }
+        if ( points.length >= 4 ) {
+            // The hull faces are triangles so add up the ones in the same plane
+            var hullNormals = [];
+            new QuickHull().setFromPoints( points ).faces.forEach( function( face ) {
+                var same = hullNormals.find( function( hullNormal ) { return hullNormal.normal.angleTo( face.normal ) < THREE.Math.degToRad( 1 ); } );
+                if ( same ) {
+                    same.area += face.area;
+                } else {
+                    hullNormals.push( { normal: face.normal, area: face.area } );
+                }
+            });
+            hullNormals.sort( function( a, b ) { return b.area - a.area; } ).slice( 0, candidateCount ).forEach( function( hullNormal ) {
+                addNormal( hullNormal.normal );
+            });
+        }
+
+        var boundingBox = new THREE.Box3().setFromBufferAttribute( faceGeometry.attributes.position );
+        var size = boundingBox.getSize().length();
+        var surfaceArea = 0;
+        for ( var faceIndex = 0; faceIndex < positions.length-8; faceIndex += 9 ) {
+            surfaceArea += faceArea( positions, faceIndex );
+        }
+        var tolerance = precisionPoints >= 0 ? Math.pow( 10, -precisionPoints ) : 0;
+
+        var orientations = normals.map( function( normal ) {
+
+            var quaternion = new THREE.Quaternion().setFromUnitVectors( normal, down );
+            var turned = new THREE.BufferGeometry();
+            turned.addAttribute( 'position', faceGeometry.attributes.position.clone() );
+            turned.applyMatrix( new THREE.Matrix4().makeRotationFromQuaternion( quaternion ) );
+            turned.computeBoundingBox();
+
+            var result = BufferGeometryAnalyzer.overhangs( turned, { direction: down, angle: options.angle, precisionPoints: precisionPoints } );
+            var turnedPositions = turned.attributes.position.array;
+            var supportContactArea = 0;
+            result.regions.forEach( function( region ) {
+                region.faceIndices.forEach( function( faceIndex ) {
+                    supportContactArea += faceArea( turnedPositions, faceIndex ) * Math.cos( THREE.Math.degToRad( result.angles[faceIndex/9] ) );
+                });
+            });
+            var footprintArea = 0;
+            for ( var faceIndex = 0; faceIndex < turnedPositions.length-8; faceIndex += 9 ) {
+                if ( turnedPositions[faceIndex+2] <= turned.boundingBox.min.z + tolerance &&
+                     turnedPositions[faceIndex+5] <= turned.boundingBox.min.z + tolerance &&
+                     turnedPositions[faceIndex+8] <= turned.boundingBox.min.z + tolerance ) {
+                    footprintArea += faceArea( turnedPositions, faceIndex );
+                }
+            }
+            var height = turned.boundingBox.max.z - turned.boundingBox.min.z;
+
+            var score = weights.overhang * result.area / surfaceArea +
+                weights.supportContact * supportContactArea / surfaceArea +
+                weights.height * height / size -
+                weights.footprint * footprintArea / surfaceArea;
+            return {
+                quaternion: quaternion,
+                score: score,
+                overhangArea: result.area,
+                supportContactArea: supportContactArea,
+                height: height,
+                footprintArea: footprintArea
+            };
+        });
+
+        return orientations.sort( function( a, b ) { return a.score - b.score; } );
+    },
+
+    /**
+     * Description: How thick the walls are behind each face, to find walls too thin to print
+     *
+     * A ray is cast from the middle of each face straight in, against its normal, to the first face on the other
+     * side of the wall.
+     *
+     * parameters:
+     *   - options.minimum: walls thinner than this are too thin. 1 by default
+     *   - options.precisionPoints: as in surfaces(), for which faces of a thin region touch
+     *   - options.colors: if true, add a color attribute to the geometry: white where the wall is thick enough,
+     *     from yellow at the minimum to red for no thickness
+     *
+     * Return:
+     *   {
+     *     thicknesses: for each face, the thickness behind it, Infinity if the ray doesn't hit anything
+     *     regions: [ { faceIndices, area, thickness } ] of touching faces thinner than the minimum, largest first.
+     *       faceIndices are as in surfaces() and thickness is the thinnest in the region
+     *     thickness: the thinnest wall
+     *   }
+     */
+    wallThickness: function( geometry, options ) {
+
+        options = options || {};
+        var minimum = options.minimum !== undefined ? options.minimum : 1;
+        var precisionPoints = options.precisionPoints !== undefined ? options.precisionPoints : 4;
+        var positions = faceVertexArray(geometry, 'position');
+        var hierarchy = new BoundingVolumeHierarchy( positions );
+        // Hits closer than this are the face itself or its neighbors at the edge
+        var tolerance = hierarchy.boundingBox().getSize().length() * 1e-9;
+
+        var triangle = new THREE.Triangle();
+        var ray = new THREE.Ray();
+        var thicknesses = [];
+        for ( var faceIndex = 0; faceIndex < positions.length-8; faceIndex += 9 ) {
+
+            triangle.a.fromArray( positions, faceIndex );
+            triangle.b.fromArray( positions, faceIndex+3 );
+            triangle.c.fromArray( positions, faceIndex+6 );
+            triangle.midpoint( ray.origin );
+            triangle.normal( ray.direction ).negate();
+            var hit = null;
+            var face = faceIndex/9;
+            if ( ray.direction.lengthSq() > 0 ) {
+                hierarchy.raycast( ray, function( hitFace, distance ) {
+                    if ( hitFace != face && distance > tolerance && ( hit === null || distance < hit ) ) {
+                        hit = distance;
+                    }
+                });
+            }
+            thicknesses[face] = hit === null ? Infinity : hit;
+        }
+
+        var thin = function( faceIndex ) { return thicknesses[faceIndex/9] < minimum; };
+        var vertexPosMap = vertexPositionMap( positions, precisionPoints );
+
+        // Thin faces are neighboring when they share at least 1 vertex
+        var neighboringFacesOf = function( faceIndex ) {
+
+            var neighboringFaces = new Set();
+            if ( ! thin( faceIndex ) ) {
+                return neighboringFaces;
+            }
+            for ( var v = 0; v < 3; v++ ) {
+                vertexPosMap[ keyForTrio( positions, faceIndex + v*3, precisionPoints ) ].forEach( function( posIndex ) {
+                    if ( thin( Math.floor( posIndex/9 ) * 9 ) ) {
+                        neighboringFaces.add( Math.floor( posIndex/9 ) );
+                    }
+                });
+            }
+            return neighboringFaces;
+        }
+
+        var graph = new FaceGraph(positions, precisionPoints, neighboringFacesOf);
+        var regions = graph.floodFill().filter( function( region ) { return thin( region.faceIndices[0] ); } );
+        regions.forEach( function( region ) {
+            region.area = region.faceIndices.reduce( function( sum, faceIndex ) { return sum + faceArea( positions, faceIndex ); }, 0 );
+            region.thickness = region.faceIndices.reduce( function( least, faceIndex ) { return Math.min( least, thicknesses[faceIndex/9] ); }, Infinity );
+        });
+        regions.sort( function( a, b ) { return b.area - a.area; } );
+
+        if ( options.colors ) {
+            addSeverityColors( geometry, thicknesses.map( function( thickness ) {
+                return thickness < minimum ? 1 - thickness / minimum : -1;
+            }));
+        }
+
+        return {
+            thicknesses: thicknesses,
+            regions: regions,
+            thickness: thicknesses.reduce( function( least, thickness ) { return Math.min( least, thickness ); }, Infinity )
+        };
+    },
+
+    /**
+     * Description: How to drop an object onto the bed on one of its faces
+     *
+     * The face is snapped to the facet of the convex hull it's on, so that the object rests on the hull facet and not
+     * just on the face.  A face that isn't on the hull, such as one in a hollow, is snapped to the hull facet that
+     * faces the most the same way.  The object is turned about the center of its bounding box and moved so that its
+     * lowest point is on z=0.
+     *
+     * parameters:
+     *   - object: a THREE.Object3D, whose geometries are taken in world coordinates, or a BufferGeometry
+     *   - face: the number of the face, as in faceIndex of a THREE.Raycaster intersection, or a surface from surfaces()
+     *   - options.mesh: the mesh in object that the face is on, object itself by default
+     *   - options.precisionPoints: number of decimal points for how far from a hull facet a face can be and still be on it
+     *
+     * Return:
+     *   {
+     *     quaternion: THREE.Quaternion for the rotation, in world coordinates
+     *     translation: THREE.Vector3 to move by after the rotation
+     *     matrix: THREE.Matrix4 that does both. object.applyMatrix( matrix ) lays a top level object flat
+     *     normal: the normal of the hull facet, before the rotation
+     *     onHull: whether the face is on the hull facet
+     *   }
+     */
+    layFlat: function( object, face, options ) {
+
+        options = options || {};
+        var precisionPoints = options.precisionPoints !== undefined ? options.precisionPoints : 4;
+        if ( object.isBufferGeometry ) {
+            object = new THREE.Mesh( object );
+        }
+        var mesh = options.mesh || object;
+        object.updateMatrixWorld( true );
+
+        // The points and normal of the face in world coordinates
+        var positions = faceVertexArray( mesh.geometry, 'position' );
+        var faceIndices = typeof face === 'number' ? [ face*9 ] : face.faceIndices;
+        var points = [];
+        var normal = new THREE.Vector3();
+        faceIndices.forEach( function( faceIndex ) {
+            var triangle = new THREE.Triangle(
+                new THREE.Vector3().fromArray( positions, faceIndex ).applyMatrix4( mesh.matrixWorld ),
+                new THREE.Vector3().fromArray( positions, faceIndex+3 ).applyMatrix4( mesh.matrixWorld ),
+                new THREE.Vector3().fromArray( positions, faceIndex+6 ).applyMatrix4( mesh.matrixWorld ) );
+            points.push( triangle.a, triangle.b, triangle.c );
+            // Bigger faces count for more
+            normal.add( triangle.normal().multiplyScalar( triangle.area() ) );
+        });
+        normal.normalize();
+
+        var hull = new QuickHull().setFromObject( object );
+        var tolerance = Math.max( hull.tolerance, precisionPoints >= 0 ? Math.pow( 10, -precisionPoints ) : 0 );
+        var facet = null;
+        var onHull = false;
+        hull.faces.forEach( function( hullFace ) {
+            var isOn = hullFace.normal.angleTo( normal ) < THREE.Math.degToRad( 1 ) && points.every( function( point ) {
+                return Math.abs( hullFace.distanceToPoint( point ) ) <= tolerance;
+            });
+            if ( isOn && ! onHull ) {
+                facet = hullFace;
+                onHull = true;
+            } else if ( ! onHull && ( facet === null || hullFace.normal.angleTo( normal ) < facet.normal.angleTo( normal ) ) ) {
+                facet = hullFace;
+            }
+        });
+
+        var quaternion = new THREE.Quaternion().setFromUnitVectors( facet.normal, new THREE.Vector3( 0, 0, -1 ) );
+        var center = new THREE.Box3().setFromObject( object ).getCenter();
+        var rotation = new THREE.Matrix4().makeTranslation( center.x, center.y, center.z )
+            .multiply( new THREE.Matrix4().makeRotationFromQuaternion( quaternion ) )
+            .multiply( new THREE.Matrix4().makeTranslation( -center.x, -center.y, -center.z ) );
+        var bottom = hull.vertices.reduce( function( lowest, vertex ) {
+            return Math.min( lowest, vertex.point.clone().applyMatrix4( rotation ).z );
+        }, Infinity );
+        var translation = new THREE.Vector3().setFromMatrixPosition( rotation ).setZ( rotation.elements[14] - bottom );
+
+        return {
+            quaternion: quaternion,
+            translation: translation,
+            matrix: rotation.setPosition( translation ),
+            normal: facet.normal.clone(),
+            onHull: onHull
+        };
+    },
+
+    /**
+     * Description: Places for parts on the bed of a printer so that they don't overlap, such as the parts from
+     * isolatedGeometries()
+     *
+     * The parts are packed from above, biggest first, on a grid of cells.  A rectangular bed fills up from its
+     * corner at the smallest x and y and a round bed from the middle out.
+     *
+     * parameters:
+     *   - objects: array of THREE.Object3D, whose geometries are taken in world coordinates, or BufferGeometry
+     *   - bed: { width, depth } for a rectangular bed from (0, 0) to (width, depth), or { radius } for a round bed
+     *     around (0, 0).  bed.center, a THREE.Vector2, moves the middle of the bed
+     *   - options.spacing: the least distance between parts. 2 by default
+     *   - options.footprint: 'hull' (default) for the convex hull of each part seen from above, or 'outline' for its
+     *     faces seen from above so that parts can go into each other's gaps
+     *   - options.rotate: whether parts can be turned about z to fit. false by default
+     *   - options.rotations: how many ways a part can be turned when rotate is true. 4 by default, for every 90 degrees
+     *   - options.resolution: the size of the cells. By default the longer side of the bed is 200 cells
+     *
+     * Return:
+     *   {
+     *     placements: for each object in order, null if it doesn't fit or
+     *       {
+     *         angle: the turn about z, in radians
+     *         translation: THREE.Vector3 to move by after the turn
+     *         matrix: THREE.Matrix4 that does both. object.applyMatrix( matrix ) places a top level object
+     *       }
+     *     unplaced: indices of the objects that don't fit
+     *   }
+     */
+    arrange: function( objects, bed, options ) {
+
+        options = arrangeOptions( options );
+
+        var footprints = objects.map( function( object ) {
+
+            if ( object.isBufferGeometry ) {
+                object = new THREE.Mesh( object );
+            }
+            object.updateMatrixWorld( true );
+            var positions = [];
+            object.traverse( function( node ) {
+                if ( node.geometry && node.geometry.isBufferGeometry ) {
+                    var nodePositions = faceVertexArray( node.geometry, 'position' );
+                    var vertex = new THREE.Vector3();
+                    for ( var posIndex = 0; posIndex < nodePositions.length-2; posIndex += 3 ) {
+                        vertex.fromArray( nodePositions, posIndex ).applyMatrix4( node.matrixWorld ).toArray( positions, positions.length );
+                    }
+                }
+            });
+            return footprint( positions, options );
+        });
+
+        var placements = packFootprints( footprints, bed, options ).map( function( placement, index ) {
+
+            if ( placement === null ) {
+                return null;
+            }
+            // The center of the footprint is turned about the origin and then moved to the position
+            var center = footprints[index].center.clone().rotateAround( new THREE.Vector2(), placement.angle );
+            var translation = new THREE.Vector3( placement.position.x - center.x, placement.position.y - center.y, 0 );
+            return {
+                angle: placement.angle,
+                translation: translation,
+                matrix: new THREE.Matrix4().makeRotationZ( placement.angle ).setPosition( translation )
+            };
+        });
+
+        return {
+            placements: placements,
+            unplaced: placements.reduce( function( unplaced, placement, index ) {
+                return placement === null ? unplaced.concat( [ index ] ) : unplaced;
+            }, [] )
+        };
     }
 
 }
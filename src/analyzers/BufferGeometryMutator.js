@@ -1,25 +1,51 @@
 import * as THREE from 'three';
+import { BoundingVolumeHierarchy } from './BoundingVolumeHierarchy';
+import { GeometryError } from './GeometryError';
+import { Progress } from './Progress';
+import { NONE, concat, resize, trim } from './TypedArrays';
+import { connectorGeometries, connectorOptions, connectorPoints, connectorRooms, cylinder, makeBasis } from './Connectors';
+import { PointGrid, classifyPoint, operationRules, scaledTolerances, trianglesMeet, weldPositions, windingNumber } from './MeshBoolean';
+
+// How many elements of each array belong to a face, for keepFace().
+const KEPT_STRIDES = {positions: 9, colors: 9, neighbors: 3, reverseIslands: 1};
 
 // A BufferGeometryMutator is similar to a BufferGeometry with
 // additional neighbor information.  The neighbor information
 // maintains which face is connected to which face by which edge.
 class BufferGeometryMutator {
     constructor() {
-        // An array of numbers.  Every triple represents a point.
-        // Every 3 points is a face.
-        this.positions = [];
-        // An array of numbers.  Every triple represents the RGB of a
+        // The arrays are typed arrays, see TypedArrays.js.
+        //
+        // A Float64Array.  Every triple represents a point.  Every 3
+        // points is a face.  A Float32Array would take 88 bytes per
+        // face with the other arrays instead of 124 but the points
+        // made by splitFaces() would be rounded off the plane:
+        // splitting egg.stl moves 1850 of them up to 3e-7 off it and
+        // splitting rubix.stl leaves 96 edges without their neighbor.
+        // With 64 bits, they all stay on it.
+        this.positions = new Float64Array(0);
+        // A Float32Array.  Every triple represents the RGB of a
         // vertex.  If it's undefined, that means that the input
         // BufferGeometry didn't have any colors.
         this.colors = undefined;
-        // neighbors has length the same as faces*3.  Each element is
-        // the position of the neighboring faceEdge.
-        this.neighbors = [];
-        // A list as long as the number of faces.  Each element is a
-        // number that identifies an island.  All faces that have the
-        // same island number are part of the same shape.  faces that
-        // have null island are degenerate and not part of any shape.
-        this.reverseIslands = [];
+        // An Int32Array with length the same as faces*3.  Each element
+        // is the position of the neighboring faceEdge, or NONE.
+        this.neighbors = new Int32Array(0);
+        // An Int32Array as long as the number of faces.  Each element
+        // is a number that identifies an island.  All faces that have
+        // the same island number are part of the same shape.  faces
+        // that have NONE for island are degenerate and not part of any
+        // shape.
+        this.reverseIslands = new Int32Array(0);
+        // The number of vertices merged when the positions were read,
+        // see fromBufferGeometry().
+        this.weldedVertices = 0;
+        // The number of holes that stitch() had to fill because the
+        // pieces didn't meet, see booleanOperation().
+        this.filledHoles = 0;
+        // The faces copied by keepFace() during an operation that can
+        // be aborted, see startProgress(), or null.
+        this.keptFaces = null;
 
         // static variables needed temporarily for methods below.
         this.faceNormalVector3s = [new THREE.Vector3(),
@@ -53,20 +79,236 @@ class BufferGeometryMutator {
                 }};
     }
 
-    // Uses only the positions from a THREE.BufferGeometry.
-    fromBufferGeometry(bufferGeometry) {
-        this.positions = Array.from(bufferGeometry.getAttribute('position').array);
+    // Uses only the positions and colors from a THREE.BufferGeometry.
+    // An indexed BufferGeometry is expanded so that, like the
+    // non-indexed one, every 3 points is a face.
+    //
+    // If options.precisionPoints is given, points closer than that
+    // many decimal places are welded before the neighbors are found,
+    // see weld(), and this.weldedVertices is the number merged.
+    //
+    // Throws a GeometryError if a coordinate isn't a number.  Edges
+    // that findNeighbors() can't match, like around a hole, are kept
+    // without a neighbor, for repairing with fixHoles() or
+    // fillHoles().  With options.strict, it throws instead, and also
+    // if the faces don't make closed, manifold shapes even where the
+    // neighbors can be found.  The error's problems say which faces
+    // and edges are wrong, see geometryProblems().
+    //
+    // options.onProgress and options.signal are as in startProgress().
+    fromBufferGeometry(bufferGeometry, options = {}) {
+        let progress = this.startProgress(options);
+        let index = bufferGeometry.getIndex();
+        this.positions = this.arrayFromAttribute(bufferGeometry.getAttribute('position'), index, Float64Array);
         if (bufferGeometry.getAttribute('color')) {
-            this.colors = Array.from(bufferGeometry.getAttribute('color').array);
+            this.colors = this.arrayFromAttribute(bufferGeometry.getAttribute('color'), index, Float32Array);
         } else {
             this.colors = undefined;
         }
-        if (!this.findNeighbors()) {
-            return null;
+        this.weldedVertices = 0;
+        if (options.precisionPoints !== undefined && options.precisionPoints >= 0) {
+            this.weldedVertices = this.weld(options.precisionPoints);
+        }
+        if (options.strict || this.positions.some((coordinate) => Number.isNaN(coordinate))) {
+            let problems = this.geometryProblems().filter((problem) => options.strict || problem.reason == 'nanCoordinates');
+            if (problems.length > 0) {
+                throw new GeometryError('Invalid geometry: ' + problems.length + ' problems, the first is ' + problems[0].reason, problems);
+            }
+        }
+        if (!this.findNeighbors({progress: progress}) && options.strict) {
+            // geometryProblems() skips edges with two faces going
+            // opposite ways, so the problems can be empty.
+            let problems = this.geometryProblems({unmatched: true});
+            let message = 'Can not find the neighbors of the faces';
+            if (problems.length > 0) {
+                message += ': ' + problems.length + ' problems, the first is ' + problems[0].reason;
+            }
+            throw new GeometryError(message, problems);
         }
+        progress.done();
         return this;
     }
 
+    // A Progress for a long operation, see Progress.js.
+    // options.onProgress(fraction) is called as the operation goes and
+    // the operation stops with an AbortError when options.signal, an
+    // AbortSignal, is aborted.  This is then put back the way it was
+    // before the operation.  An operation that's part of a bigger one
+    // gets its part of the progress as options.progress.  When the
+    // whole operation is done, the arrays are trimmed, see trim().
+    //
+    // Putting this back doesn't need a copy of all the faces.  Faces
+    // that are added go past the end of the arrays and arrays that are
+    // rebuilt are new, so the arrays from before are kept as they are,
+    // and faces that are changed in place are copied by keepFace()
+    // first.
+    startProgress(options) {
+        if (options.progress) {
+            return options.progress;
+        }
+        this.keptFaces = null;
+        if (!options.signal) {
+            return new Progress(options, null, () => this.trim());
+        }
+        let kept = {positions: this.positions,
+                    colors: this.colors,
+                    neighbors: this.neighbors,
+                    reverseIslands: this.reverseIslands,
+                    faceCount: this.positions.length/9,
+                    faces: new Map()};
+        this.keptFaces = kept;
+        return new Progress(options, () => {
+            this.keptFaces = null;
+            for (let [faceIndex, face] of kept.faces) {
+                for (let name of Object.keys(face)) {
+                    kept[name].set(face[name], faceIndex * KEPT_STRIDES[name]);
+                }
+            }
+            this.positions = kept.positions;
+            this.colors = kept.colors;
+            this.neighbors = kept.neighbors;
+            this.reverseIslands = kept.reverseIslands;
+        }, () => {
+            this.keptFaces = null;
+            this.trim();
+        });
+    }
+
+    // Let go of the room that the arrays have left to grow, see
+    // TypedArrays.js, when an operation that adds faces is done.
+    trim() {
+        this.positions = trim(this.positions);
+        this.colors = trim(this.colors);
+        this.neighbors = trim(this.neighbors);
+        this.reverseIslands = trim(this.reverseIslands);
+    }
+
+    // Copies the face before it's changed in place during an operation
+    // that can be aborted, see startProgress().  Only faces from before
+    // the operation and arrays that are still the ones from before, or
+    // longer views of their buffers, need to be copied.
+    keepFace(faceIndex) {
+        let kept = this.keptFaces;
+        if (!kept || faceIndex >= kept.faceCount || kept.faces.has(faceIndex)) {
+            return;
+        }
+        let face = {};
+        for (let name of Object.keys(KEPT_STRIDES)) {
+            if (kept[name] && this[name] && this[name].buffer === kept[name].buffer) {
+                let stride = KEPT_STRIDES[name];
+                face[name] = this[name].slice(faceIndex * stride, (faceIndex + 1) * stride);
+            }
+        }
+        kept.faces.set(faceIndex, face);
+    }
+
+    // keepFace() for the faces with positions from start to end.
+    keepFacesAt(start, end) {
+        if (this.keptFaces) {
+            for (let faceIndex = Math.floor(start/9); faceIndex*9 < end; faceIndex++) {
+                this.keepFace(faceIndex);
+            }
+        }
+    }
+
+    // Moves points that are within 10^-precisionPoints of each other
+    // onto the same place, like the precisionPoints of
+    // BufferGeometryAnalyzer, so that faces with float noise in their
+    // coordinates connect.  Each point goes to the first point near it,
+    // found with a grid of cells as big as the tolerance.  Faces that
+    // become degenerate are left for findNeighbors(), which must be
+    // run afterward.  Returns the number of vertices merged, which is
+    // how many fewer different points there are.
+    weld(precisionPoints = 4) {
+        let countVertices = () => {
+            let keys = new Set();
+            for (let position = 0; position < this.positions.length; position += 3) {
+                keys.add(this.keyForTrio(position));
+            }
+            return keys.size;
+        };
+        let vertices = countVertices();
+        weldPositions(this.positions, Math.pow(10, -precisionPoints));
+        return vertices - countVertices();
+    }
+
+    // Returns a list of what's wrong with the faces, like in
+    // GeometryError: faces with coordinates that aren't numbers, edges
+    // that don't have exactly two faces and edges whose two faces go
+    // along it the same way.  Only the positions are needed so this can
+    // be run before findNeighbors().  With options.unmatched, only the
+    // edges that findNeighbors() left without a neighbor are listed.
+    // Degenerate faces are left out.
+    geometryProblems(options = {}) {
+        let problems = [];
+        let faces = [];
+        for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
+            let start = this.positionFromFace(faceIndex);
+            if (this.positions.slice(start, start + 9).some((coordinate) => Number.isNaN(coordinate))) {
+                problems.push({reason: 'nanCoordinates', faces: [faceIndex], edge: null});
+            } else if (!this.isFaceDegenerate(faceIndex)) {
+                faces.push(faceIndex);
+            }
+        }
+        for (let edge of this.facesByEdge(faces).values()) {
+            if (options.unmatched && edge.positions.every((position) => this.neighbors[position/3] != NONE)) {
+                continue;
+            }
+            let reason;
+            if (edge.faces.length != 2) {
+                reason = edge.faces.length % 2 == 0 ? 'nonManifoldEdge' : 'oddEdgeCount';
+            } else if (this.equalTrios(edge.positions[0], edge.positions[1])) {
+                reason = 'inconsistentWinding';
+            } else {
+                continue;
+            }
+            problems.push({reason: reason,
+                           faces: edge.faces,
+                           edge: {start: this.vector3FromPosition(edge.position),
+                                  end: this.vector3FromPosition(this.nextPositionInFace(edge.position))}});
+        }
+        return problems;
+    }
+
+    // Returns a Map from the keys of the two points of each edge of the
+    // faces, in either direction, to {position, faces, positions} where
+    // faces is a list of the faces along the edge, positions is where
+    // the edge starts in each of them and position is the first of
+    // those.
+    facesByEdge(faces) {
+        let edges = new Map();
+        for (let faceIndex of faces) {
+            for (let position of this.positionsFromFace(faceIndex)) {
+                let start = this.keyForTrio(position);
+                let end = this.keyForTrio(this.nextPositionInFace(position));
+                let edgeKey = start < end ? start + '|' + end : end + '|' + start;
+                if (!edges.has(edgeKey)) {
+                    edges.set(edgeKey, {position: position, faces: [], positions: []});
+                }
+                edges.get(edgeKey).faces.push(faceIndex);
+                edges.get(edgeKey).positions.push(position);
+            }
+        }
+        return edges;
+    }
+
+    // Returns a typed array of Type with a triple for each point of
+    // each face in the attribute.  If there is an index, the points
+    // are looked up through it.
+    arrayFromAttribute(attribute, index, Type) {
+        if (!index) {
+            return Type.from(attribute.array);
+        }
+        let array = new Type(index.count * 3);
+        for (let i = 0; i < index.count; i++) {
+            let vertex = index.getX(i);
+            array[i*3] = attribute.getX(vertex);
+            array[i*3 + 1] = attribute.getY(vertex);
+            array[i*3 + 2] = attribute.getZ(vertex);
+        }
+        return array;
+    }
+
     // Convert 3 consecutive positions into a string usable as a key in a Map.
     keyForTrio(startIndex) {
         let array = this.positions;
@@ -168,9 +410,13 @@ class BufferGeometryMutator {
     }
 
     // Recalculate the neighbors.
-    // this.neighbors will be an array with length 3 times the number of faces.
-    // this.reverseIslands will be an array with length equal to the number of faces.
-    findNeighbors() {
+    // this.neighbors will be an Int32Array with length 3 times the number of faces.
+    // this.reverseIslands will be an Int32Array with length equal to the number of faces.
+    // options.onProgress and options.signal are as in startProgress().
+    // Returns true if every edge of the faces that aren't degenerate
+    // has a neighbor and false if some are left without one.
+    findNeighbors(options = {}) {
+        let progress = this.startProgress(options);
         let vertexPosMap = this.vertexPositionMap();
         const faceCount = this.positions.length / 9;
 
@@ -229,6 +475,7 @@ class BufferGeometryMutator {
         // Edges that aren't yet in a face-to-face connection.
         let unconnectedEdges = new Set();
         for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            progress.report(faceIndex / faceCount / 4);
             if (faces[faceIndex].degenerate) {
                 continue;
             }
@@ -313,7 +560,9 @@ class BufferGeometryMutator {
             unconnectedEdges.delete(posIndex2);
         }
 
+        const edgeCount = unconnectedEdges.size;
         while (unconnectedEdges.size > 0) {
+            progress.report(1/4 + (1 - unconnectedEdges.size / edgeCount) * 3/4);
             let foundOne = false;
             // Connect all edges that have just one neighbor.
             for (let posIndex of unconnectedEdges) {
@@ -396,23 +645,22 @@ class BufferGeometryMutator {
         }
 
         // All done, now save the result.
-        this.neighbors = [];
+        this.neighbors = new Int32Array(faceCount * 3);
         // For each face, store to which island it belongs.  This is a
         // map from the island index (which is the root of the
         // union-find algorithm) to a list of faces.  Degenerate faces
         // are not included in any island.
-        this.reverseIslands = [];
+        this.reverseIslands = new Int32Array(faceCount);
         for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
             let islandIndex = findIsland(faceIndex);
-            if (Number.isInteger(islandIndex)) {
-                this.reverseIslands[faceIndex] = islandIndex;
-            }
+            this.reverseIslands[faceIndex] = Number.isInteger(islandIndex) ? islandIndex : NONE;
             for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
                 let neighbor = faces[faceIndex].neighbors[edgeIndex];
-                this.neighbors[faceIndex*3 + edgeIndex] = (!Number.isInteger(neighbor) ? neighbor : neighbor / 3);
+                this.neighbors[faceIndex*3 + edgeIndex] = (!Number.isInteger(neighbor) ? NONE : neighbor / 3);
             }
         }
-        return true;
+        progress.done();
+        return unconnectedEdges.size == 0;
     }
 
     // Yield BufferGeometryMutators, one per island.
@@ -421,7 +669,7 @@ class BufferGeometryMutator {
         let foundOne = false;
         for (let face = 0; face < this.reverseIslands.length; face++) {
             let island = this.reverseIslands[face];
-            if (!Number.isInteger(island)) {
+            if (island == NONE) {
                 continue;
             }
             seenIslands.add(island);
@@ -432,8 +680,8 @@ class BufferGeometryMutator {
             let newBufferGeometryMutator = this.clone();
             for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
                 let island = newBufferGeometryMutator.reverseIslands[faceIndex];
-                if (Number.isInteger(island) && island != islands[islandIndex]) {
-                    newBufferGeometryMutator.reverseIslands[faceIndex] = null; // Mark for deletion.
+                if (island != NONE && island != islands[islandIndex]) {
+                    newBufferGeometryMutator.reverseIslands[faceIndex] = NONE; // Mark for deletion.
                 }
             }
             newBufferGeometryMutator.deleteDegenerates();
@@ -443,15 +691,31 @@ class BufferGeometryMutator {
 
     // Whereas isolate() returns BufferGeometryMutators, this returns
     // BufferGeometries.  This runs faster than doing isolate() and
-    // then bufferGeometry() on each.
-    isolatedBufferGeometries() {
+    // then bufferGeometry() on each.  If indexed is true, the
+    // BufferGeometries are indexed, see indexedBufferGeometry().
+    isolatedBufferGeometries(indexed = false) {
+        if (indexed) {
+            // Map from island id to the faces in it.
+            let islandFaces = new Map();
+            for (let face = 0; face < this.reverseIslands.length; face++) {
+                let island = this.reverseIslands[face];
+                if (island == NONE) {
+                    continue;
+                }
+                if (!islandFaces.has(island)) {
+                    islandFaces.set(island, []);
+                }
+                islandFaces.get(island).push(face);
+            }
+            return Array.from(islandFaces.values()).map((faces) => this.indexedBufferGeometry(faces));
+        }
         // Map from island id to BufferGeometry.
         let seenIslands = new Map();
         let foundOne = false;
         let normal = new THREE.Vector3();
         for (let face = 0; face < this.reverseIslands.length; face++) {
             let island = this.reverseIslands[face];
-            if (!Number.isInteger(island)) {
+            if (island == NONE) {
                 continue;
             }
             if (!seenIslands.has(island)) {
@@ -485,21 +749,69 @@ class BufferGeometryMutator {
         return newBufferGeometries;
     }
 
-    bufferGeometry() {
+    // Make a THREE.BufferGeometry of all the faces.  If indexed is
+    // true, make an indexed one, see indexedBufferGeometry().
+    bufferGeometry(indexed = false) {
+        if (indexed) {
+            return this.indexedBufferGeometry(this.range(this.positions.length / 9));
+        }
         let newGeometry = new THREE.BufferGeometry();
-        let normals = [];
+        let normals = new Float32Array(this.positions.length);
         let normal = new THREE.Vector3();
         for (let faceIndex = 0; faceIndex < this.positions.length / 9; faceIndex++) {
             normal = this.faceNormal(faceIndex, normal);
             for (let i = 0; i < 3; i++) {
-                normals.push(normal.x, normal.y, normal.z);
+                normal.toArray(normals, faceIndex*9 + i*3);
+            }
+        }
+        // The positions are rounded to floats and the colors copied
+        // without going through a JS array.
+        newGeometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(this.positions), 3));
+        if (this.colors) {
+            newGeometry.addAttribute('color', new THREE.BufferAttribute(new Float32Array(this.colors), 3));
+        }
+        newGeometry.addAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        return newGeometry;
+    }
+
+    // Make an indexed THREE.BufferGeometry of the faces provided.
+    // Points with the same position and color are shared between
+    // faces.  Because points are shared, the normals are vertex
+    // normals averaged from the faces around each point instead of
+    // face normals.
+    indexedBufferGeometry(faces) {
+        // Map from keyForTrio (and color) to index of the point.
+        let vertexMap = new Map();
+        let positions = [];
+        let colors = [];
+        let indices = [];
+        for (let faceIndex of faces) {
+            for (let position of this.positionsFromFace(faceIndex)) {
+                let key = this.keyForTrio(position);
+                if (this.colors) {
+                    key += '_' + this.colors[position] + '_' + this.colors[position+1] + '_' + this.colors[position+2];
+                }
+                let vertex = vertexMap.get(key);
+                if (vertex === undefined) {
+                    vertex = positions.length / 3;
+                    vertexMap.set(key, vertex);
+                    for (let offset = 0; offset < 3; offset++) {
+                        positions.push(this.positions[position+offset]);
+                        if (this.colors) {
+                            colors.push(this.colors[position+offset]);
+                        }
+                    }
+                }
+                indices.push(vertex);
             }
         }
-        newGeometry.addAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+        let newGeometry = new THREE.BufferGeometry();
+        newGeometry.setIndex(indices);
+        newGeometry.addAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
         if (this.colors) {
-            newGeometry.addAttribute('color', new THREE.Float32BufferAttribute(this.colors, 3));
+            newGeometry.addAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
         }
-        newGeometry.addAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        newGeometry.computeVertexNormals();
         return newGeometry;
     }
 
@@ -507,7 +819,7 @@ class BufferGeometryMutator {
     // degenerates when saving the file.
     roundToFloat32() {
         // First round all vertices to floats.
-        this.positions = Array.from(new Float32Array(this.positions));
+        this.positions = Float64Array.from(new Float32Array(this.positions));
         // Remove all degenerate triangles where the normal is 0 when rounded to float.
         this.removeDegenerates(this.range(this.positions.length/9));
         // Remove all the triangles that aren't part of any shapes anymore.
@@ -546,17 +858,27 @@ class BufferGeometryMutator {
         return ret;
     }
 
-    // Returns the neighbor edge position of a position.
+    // Returns the neighbor edge position of a position, or null if it
+    // has no neighbor.
     getNeighborPosition(position) {
-        if (Number.isInteger(this.neighbors[position/3])) {
+        if (this.neighbors[position/3] != NONE) {
             return this.neighbors[position/3]*3;
         } else {
-            return this.neighbors[position/3];
+            return null;
         }
     }
 
-    // copy the x,y,z of the points into the array at the offset
+    // copy the x,y,z of the points into the array at the offset.  If
+    // they go past its end, the faces are added, without neighbors and
+    // without an island.
     setPositions(points, offset) {
+        let end = offset + points.length*3;
+        this.keepFacesAt(offset, end);
+        if (end > this.positions.length) {
+            this.positions = resize(this.positions, end);
+            this.neighbors = resize(this.neighbors, Math.ceil(end/9)*3, NONE);
+            this.reverseIslands = resize(this.reverseIslands, Math.ceil(end/9), NONE);
+        }
         for (let p of points) {
             this.positions[offset++] = p.x;
             this.positions[offset++] = p.y;
@@ -564,8 +886,29 @@ class BufferGeometryMutator {
         }
     }
 
-    // copy the r,g,b of the colors into the array at the offset
+    // copy the x,y,z of the points into another array at the offset
+    setPositionsIn(array, points, offset) {
+        for (let p of points) {
+            array[offset++] = p.x;
+            array[offset++] = p.y;
+            array[offset++] = p.z;
+        }
+    }
+
+    // copy the r,g,b of the colors into another array at the offset
+    setColorsIn(array, colors, offset) {
+        for (let c of colors) {
+            array[offset++] = c.r;
+            array[offset++] = c.g;
+            array[offset++] = c.b;
+        }
+    }
+
+    // copy the r,g,b of the colors into the array at the offset.  The
+    // array grows if they go past its end.
     setColors(colors, offset) {
+        this.keepFacesAt(offset, offset + colors.length*3);
+        this.colors = resize(this.colors, offset + colors.length*3);
         for (let c of colors) {
             this.colors[offset++] = c.r;
             this.colors[offset++] = c.g;
@@ -585,8 +928,19 @@ class BufferGeometryMutator {
     }
 
     // Split all edges in this geometry so that there are no edges
-    // that cross the plane.
-    splitFaces(plane) {
+    // that cross the plane.  options.faces is a list of the faces to
+    // split, all of them if it's not given.  Their neighbors are split
+    // with them where they share an edge that's split.  Points closer
+    // to the plane than options.epsilon, 0 by default, are taken to be
+    // on it.  options.onProgress and options.signal are as in
+    // startProgress().
+    splitFaces(plane, options = {}) {
+        let progress = this.startProgress(options);
+        const epsilon = options.epsilon || 0;
+        let distanceToPlane = (point) => {
+            let distance = plane.distanceToPoint(point);
+            return Math.abs(distance) <= epsilon ? 0 : distance;
+        };
         // Maintain a list of coordinates that intersect the plane.
         // Each position is on the plane for the purpose of collapsing
         // later.
@@ -600,8 +954,10 @@ class BufferGeometryMutator {
         let intersectionPoint = new THREE.Vector3();
         let intersectionColor = new THREE.Color();
         let line = new THREE.Line3();
-        const faceCount = this.positions.length/9;
-        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+        const faceCount = options.faces ? options.faces.length : this.positions.length/9;
+        for (let i = 0; i < faceCount; i++) {
+            progress.report(i / faceCount);
+            let faceIndex = options.faces ? options.faces[i] : i;
             for (let edgeIndex= 0; edgeIndex < 3; edgeIndex++) {
                 /* If the edge doesn't cross the plane, do nothing.
 
@@ -638,8 +994,8 @@ class BufferGeometryMutator {
                 // consistent for later steps.  If we used
                 // intersectLine, there might be rounding issues that
                 // would confuse the algorithm.
-                let distances = [plane.distanceToPoint(vertices[0][0]),
-                                 plane.distanceToPoint(vertices[0][1])];
+                let distances = [distanceToPlane(vertices[0][0]),
+                                 distanceToPlane(vertices[0][1])];
                 if (distances[0] == 0) {
                     splitPositions.add(this.keyForTrio(positions[0][0]));
                 }
@@ -665,7 +1021,7 @@ class BufferGeometryMutator {
 
                 let vertexToMove = [];
                 for (let i = 0; i < positions.length; i++) {
-                    let secondDistance = plane.distanceToPoint(vertices[i][2]);
+                    let secondDistance = distanceToPlane(vertices[i][2]);
                     // Which vertex needs to be moved to the intersection
                     // so that the new face created won't need further
                     // splitting?
@@ -706,48 +1062,49 @@ class BufferGeometryMutator {
                 }
 
                 // Add to this.neighbors
-                let newNeighborIndex = this.neighbors.length;
+                let newNeighborIndex = this.positions.length/3 - positions.length*3;
                 if (vertexToMove.length == 1 && vertexToMove[0] == 1) {
-                    this.neighbors.push(null,
+                    this.neighbors.set([NONE,
                                         this.neighbors[positions[0][1]/3],
-                                        positions[0][1]/3);
+                                        positions[0][1]/3], newNeighborIndex);
                 } else if (vertexToMove.length == 1 && vertexToMove[0] == 0) {
-                    this.neighbors.push(this.neighbors[positions[0][2]/3],
-                                        null,
-                                        positions[0][2]/3);
+                    this.neighbors.set([this.neighbors[positions[0][2]/3],
+                                        NONE,
+                                        positions[0][2]/3], newNeighborIndex);
                 } else if (vertexToMove[0] == 1 && vertexToMove[1] == 1) {
-                    this.neighbors.push(positions[1][0]/3,
+                    this.neighbors.set([positions[1][0]/3,
                                         this.neighbors[positions[0][1]/3],
-                                        positions[0][1]/3);
-                    this.neighbors.push(positions[0][0]/3,
+                                        positions[0][1]/3], newNeighborIndex);
+                    this.neighbors.set([positions[0][0]/3,
                                         this.neighbors[positions[1][1]/3],
-                                        positions[1][1]/3);
+                                        positions[1][1]/3], newNeighborIndex + 3);
                 } else if (vertexToMove[0] == 0 && vertexToMove[1] == 0) {
-                    this.neighbors.push(this.neighbors[positions[0][2]/3],
+                    this.neighbors.set([this.neighbors[positions[0][2]/3],
                                         positions[1][0]/3,
-                                        positions[0][2]/3);
-                    this.neighbors.push(this.neighbors[positions[1][2]/3],
+                                        positions[0][2]/3], newNeighborIndex);
+                    this.neighbors.set([this.neighbors[positions[1][2]/3],
                                         positions[0][0]/3,
-                                        positions[1][2]/3);
+                                        positions[1][2]/3], newNeighborIndex + 3);
                 } else if (vertexToMove[0] == 1 && vertexToMove[1] == 0) {
-                    this.neighbors.push(newNeighborIndex + 4,
+                    this.neighbors.set([newNeighborIndex + 4,
                                         this.neighbors[positions[0][1]/3],
-                                        positions[0][1]/3);
-                    this.neighbors.push(this.neighbors[positions[1][2]/3],
+                                        positions[0][1]/3], newNeighborIndex);
+                    this.neighbors.set([this.neighbors[positions[1][2]/3],
                                         newNeighborIndex,
-                                        positions[1][2]/3);
+                                        positions[1][2]/3], newNeighborIndex + 3);
                 } else if (vertexToMove[0] == 0 && vertexToMove[1] == 1) {
-                    this.neighbors.push(this.neighbors[positions[0][2]/3],
+                    this.neighbors.set([this.neighbors[positions[0][2]/3],
                                         newNeighborIndex + 3,
-                                        positions[0][2]/3);
-                    this.neighbors.push(newNeighborIndex + 1,
+                                        positions[0][2]/3], newNeighborIndex);
+                    this.neighbors.set([newNeighborIndex + 1,
                                         this.neighbors[positions[1][1]/3],
-                                        positions[1][1]/3);
+                                        positions[1][1]/3], newNeighborIndex + 3);
                 }
 
                 // Make the above assignments symmetric.
                 for (let i = newNeighborIndex; i < newNeighborIndex+positions.length*3; i++) {
-                    if (Number.isInteger(this.neighbors[i])) {
+                    if (this.neighbors[i] != NONE) {
+                        this.keepFace(this.faceFromPosition(this.neighbors[i]*3));
                         this.neighbors[this.neighbors[i]] = i;
                     }
                 }
@@ -759,6 +1116,7 @@ class BufferGeometryMutator {
                 }
             }
         }
+        progress.done();
         return splitPositions;
     }
 
@@ -828,7 +1186,8 @@ class BufferGeometryMutator {
     // After splitting a shape, moves the faces from the BufferGeometryMutator
     // into two BufferGeometryMutators, one for each side.  Returns two
     // BufferGeometryMutators.  The first is the negative side, the second is
-    // the positive side.  The original STL is unaffected.
+    // the positive side.  A side without a shape is null.  The original STL
+    // is unaffected.
     disconnectAtSplit(plane, splitPositions) {
         let newBufferGeometryMutators = [this.clone(), this.clone()];
         // All faces that are on the split are diconnected from their neighbors.
@@ -846,17 +1205,17 @@ class BufferGeometryMutator {
             }
             if (distances[0] <= 0 && distances[1] <= 0 && distances[2] <= 0) {
                 // All negative or 0 so remove from the positive side.
-                newBufferGeometryMutators[1].reverseIslands[faceIndex] = null;
+                newBufferGeometryMutators[1].reverseIslands[faceIndex] = NONE;
             }
             if (distances[0] >= 0 && distances[1] >= 0 && distances[2] >= 0) {
                 // All positive or 0 so remove from the negative side.
-                newBufferGeometryMutators[0].reverseIslands[faceIndex] = null;
+                newBufferGeometryMutators[0].reverseIslands[faceIndex] = NONE;
             }
         }
         for (let newBufferGeometryMutator of newBufferGeometryMutators) {
             newBufferGeometryMutator.deleteDegenerates();
         }
-        return newBufferGeometryMutators.filter(mutator => mutator.positions.length >= 5); // How many positions to qualify a valid shape?
+        return newBufferGeometryMutators.map(mutator => mutator.positions.length >= 5 ? mutator : null); // How many positions to qualify a valid shape?
     }
 
     // For each edge, find the edge in the input that leads from its
@@ -1151,13 +1510,33 @@ class BufferGeometryMutator {
     // Given a plane, split along the plane and return two new
     // BufferGeometryMutators, one for each side.  The BufferGeometryMutators are mended
     // where they were choped.
-    chop(plane) {
-        let splitPositions = this.splitFaces(plane);
+    //
+    // options.connectors adds connectors to the mended faces so that
+    // the sides fit back together.  It's an object with the options in
+    // Connectors.js, like {type: 'pin', radius: 2, clearance: 0.2}.
+    // options.onProgress and options.signal are as in startProgress().
+    chop(plane, options = {}) {
+        return this.chopSides(plane, options).filter(mutator => mutator);
+    }
+
+    // Like chop but always returns the negative side and then the
+    // positive side.  A side without a shape is null.
+    chopSides(plane, options = {}) {
+        let progress = this.startProgress(options);
+        // The connectors are boolean operations, which take longer than
+        // the chop.
+        let chopProgress = options.connectors ? progress.part(0, 0.2) : progress;
+        let splitPositions = this.splitFaces(plane, {progress: chopProgress.part(0, 0.5)});
         this.removeDegenerates(this.range(this.positions.length/9));
+        chopProgress.report(0.6);
         this.deleteDegenerates();
 
         let newBufferGeometryMutators = this.disconnectAtSplit(plane, splitPositions);
+        chopProgress.report(0.7);
         for (let newBufferGeometryMutator of newBufferGeometryMutators) {
+            if (!newBufferGeometryMutator) {
+                continue;
+            }
             let splitEdgesMap = newBufferGeometryMutator.findEdgesInPlane(splitPositions);
             // Repair each island.
             for (let island of splitEdgesMap.keys()) {
@@ -1165,178 +1544,1539 @@ class BufferGeometryMutator {
             }
             // A split might create multiple, diconnected objects.
             newBufferGeometryMutator.computeIslands();
+            newBufferGeometryMutator.trim();
+            chopProgress.report(newBufferGeometryMutator == newBufferGeometryMutators[0] ? 0.8 : 0.9);
+        }
+        if (options.connectors && newBufferGeometryMutators[0] && newBufferGeometryMutators[1]) {
+            newBufferGeometryMutators = this.addConnectors(newBufferGeometryMutators, plane, connectorOptions(options.connectors),
+                                                           {progress: progress.part(0.2, 1)});
         }
+        progress.done();
         return newBufferGeometryMutators;
     }
 
-    // Merge faces where possible.
-    //
-    // Assumes that the current shape has no degenerates.
-    //
-    // Look for edges where one of the points could be moved to the
-    // other point without affecting the shape.  To check this, we
-    // look at the normals of all affected faces before and after the
-    // move.  The two faces adjacent to the collapsed edge should
-    // become degenerate.  The rest should have their normals
-    // unchanged.  If that's true, the collapse is valid.
-    //
-    // Normal unchanged means that the the normal before and after
-    // rounding are the same.  The default is not to round.  If
-    // rounding is wanted, supply a function that compares rounded
-    // Vector3s.  The arguments must not be modified.  Clone the
-    // Vector3s if needed.
+    // Add connectors to the negative and positive sides of a cut
+    // along the plane, placed in the faces that mended the cut.
+    // Connectors are left out where a side is too thin for their
+    // holes.  Returns new BufferGeometryMutators for the two sides.
+    // progressOptions.onProgress and progressOptions.signal are as in
+    // startProgress().
+    addConnectors(sides, plane, options, progressOptions = {}) {
+        let progress = this.startProgress(progressOptions);
+        let newSides = sides.slice(0);
+        let points = connectorPoints(sides[0], plane, options);
+        let rooms = connectorRooms(sides, plane, points, options);
+        for (let [i, point] of points.entries()) {
+            progress.report(i / points.length);
+            let geometries = connectorGeometries(options, rooms[i]);
+            if (!geometries) {
+                continue;
+            }
+            let basis = makeBasis(plane, point);
+            // Each point gets its part of the progress, shared by the
+            // boolean operations for both sides.
+            let pointProgress = progress.part(i / points.length, (i + 1) / points.length);
+            for (let [side, sideGeometries] of [[0, geometries.negative], [1, geometries.positive]]) {
+                if (sideGeometries.add) {
+                    let connector = new BufferGeometryMutator().fromBufferGeometry(sideGeometries.add.clone().applyMatrix(basis));
+                    newSides[side] = newSides[side].union(connector, {progress: pointProgress.part(side/2, side/2 + 0.25)});
+                }
+                if (sideGeometries.subtract) {
+                    let connector = new BufferGeometryMutator().fromBufferGeometry(sideGeometries.subtract.clone().applyMatrix(basis));
+                    newSides[side] = newSides[side].difference(connector, {progress: pointProgress.part(side/2 + 0.25, side/2 + 0.5)});
+                }
+            }
+        }
+        progress.done();
+        return newSides;
+    }
+
+    // Chop into a grid of pieces, for example to fit a print bed.
+    // planes is a list of lists of parallel THREE.Planes, one list for
+    // each direction of cuts.  The planes in each list are turned to
+    // face the same way as the first one and sorted along its normal,
+    // so their order and which way they face doesn't matter.  options
+    // are as in chop.  This is unaffected.
     //
-    // The faces that collpase to degenerates need to later be removed.
-    mergeFaces(equalNormals = function(x, y) { return x.equals(y); }) {
-        const faceCount = this.positions.length / 9;
-        this.removeDegenerates(this.range(faceCount));
-        let facesMerged = 0;
-        let previousFacesMerged = 0;
-        let startVertex = new THREE.Vector3();
-        let startColor = new THREE.Color();
-        let neighborVertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
-        let neighborNormal = new THREE.Vector3();
-        let newNeighborNormal = new THREE.Vector3();
-        let triangle = new THREE.Triangle();
-        do {
-            previousFacesMerged = facesMerged;
-            for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
-                for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
-                    if (!Number.isInteger(this.reverseIslands[faceIndex])) {
-                        // This face is already a degenerate from
-                        // previous merge operations but not yet
-                        // deleted from this.positions .  Stop
-                        // processing it.  Eventually it will be
-                        // removed from this.positions.
-                        break;
+    // Returns a tree of parts.  Each part is {cell, mutator, children}.
+    // The root is this shape with cell [].  Its children are the
+    // pieces between the planes in the first list, with cell [i] for
+    // the i-th piece from the negative side of the first plane.  The
+    // children of each of those are cut by the second list of planes
+    // with cell [i, j], and so on.  The leaves are the pieces of the
+    // grid.  Cells without any shape are left out.
+    chopGrid(planes, options = {}) {
+        let root = {cell: [], mutator: this, children: []};
+        let parents = [root];
+        for (let planeList of planes) {
+            let axis = planeList[0].normal;
+            let sortedPlanes = planeList.map((plane) => {
+                plane = plane.clone().normalize();
+                return plane.normal.dot(axis) < 0 ? plane.negate() : plane;
+            }).sort((a, b) => b.constant - a.constant);
+            let newParents = [];
+            for (let parent of parents) {
+                let rest = parent.mutator.clone();
+                for (let i = 0; i <= sortedPlanes.length && rest; i++) {
+                    let piece = rest;
+                    if (i < sortedPlanes.length) {
+                        [piece, rest] = rest.chopSides(sortedPlanes[i], options);
                     }
-                    let startPosition = this.positionFromFaceEdge(faceIndex, edgeIndex);
-                    let currentPosition = startPosition;
-                    startVertex = this.vector3FromPosition(startPosition, startVertex);
-                    startColor = this.colorFromPosition(startPosition, startColor);
-                    // Test if moving the point would affect any face normals.
-                    do {
-                        currentPosition = this.getNeighborPosition(this.nextPositionInFace(currentPosition));
-                        if (!Number.isInteger(currentPosition)) {
-                            break;
-                        }
-                        let nextPosition = this.nextPositionInFace(currentPosition);
-                        let thirdPosition = this.nextPositionInFace(nextPosition);
-                        neighborVertices = this.vector3sFromPositions([currentPosition,
-                                                                       nextPosition,
-                                                                       thirdPosition], neighborVertices);
-                        neighborNormal = triangle.set(...neighborVertices).normal(neighborNormal);
-                        // After moving the vertex, this will be the new normal.
-                        newNeighborNormal = triangle.set(neighborVertices[0],
-                                                         startVertex,
-                                                         neighborVertices[2]).normal(newNeighborNormal);
-                        if (newNeighborNormal.length() != 0 &&
-                            !equalNormals(neighborNormal, newNeighborNormal)) {
-                            break;  // This face's normal has changed so we can't move it.
-                        }
-                    } while (currentPosition != startPosition);
-                    if (currentPosition == startPosition) {
-                        // We didn't break so this triangle should be collapsable.
-                        facesMerged++;
-                        let faces = [];
-                        do {
-                            let nextPosition = this.nextPositionInFace(currentPosition);
-                            this.setPositions([startVertex], nextPosition);
-                            if (this.colors) {
-                                this.setColors([startColor], nextPosition);
-                            }
-                            faces.push(this.faceFromPosition(currentPosition));
-                            currentPosition = this.getNeighborPosition(nextPosition);
-                        } while (currentPosition != startPosition);
-                        this.removeDegenerates(faces);
+                    if (piece) {
+                        let child = {cell: parent.cell.concat([i]), mutator: piece, children: []};
+                        parent.children.push(child);
+                        newParents.push(child);
                     }
                 }
             }
-            this.deleteDegenerates();
-        } while (facesMerged != previousFacesMerged);
-        return facesMerged;
+            parents = newParents;
+        }
+        return root;
     }
 
-    removeDegenerates(faces) {
-        let previousTotalDegeneratesRemoved = 0;
-        let totalDegeneratesRemoved = 0;
-        let degeneratesRemoved = 0;
-        do {
-            previousTotalDegeneratesRemoved = totalDegeneratesRemoved;
-            totalDegeneratesRemoved += this.removeDegenerates0Angle(faces);
-            totalDegeneratesRemoved += this.removeDegenerates180Angle(faces);
-        } while(previousTotalDegeneratesRemoved != totalDegeneratesRemoved);
-        return totalDegeneratesRemoved;
+    // The THREE.Box3 around all the points, empty if there are none.
+    boundingBox() {
+        return new THREE.Box3().setFromArray(this.positions);
     }
 
-    // Remove degenerates where two of 3 vertices are the same.
-    removeDegenerates0Angle(faces) {
-        let degeneratesRemoved = 0;
-        for (let faceIndex of faces) {
-            if (!Number.isInteger(this.reverseIslands[faceIndex])) {
-                // Already going to be removed.
+    // A BoundingVolumeHierarchy of the faces that are part of an
+    // island.  It reads this.positions, so it can't be used after they
+    // change.
+    faceHierarchy() {
+        let faces = Array.from(this.range(this.positions.length/9)).filter((faceIndex) =>
+            this.reverseIslands[faceIndex] != NONE);
+        return new BoundingVolumeHierarchy(this.positions, faces);
+    }
+
+    // Split the faces where they cross the faces in hierarchy, a
+    // BoundingVolumeHierarchy of another shape or of a copy of this
+    // one, so that no face crosses that surface.  Each face is split
+    // with splitFaces() by the planes of the faces that it crosses or
+    // touches, so its neighbors are split with it, and the pieces are
+    // split again when the loop gets to them.  Points closer than
+    // options.epsilon to a plane are on it, by default the one from
+    // scaledTolerances() for both shapes.  options.onProgress and
+    // options.signal are as in startProgress().
+    splitFacesCrossing(hierarchy, options = {}) {
+        let progress = this.startProgress(options);
+        let epsilon = options.epsilon !== undefined ? options.epsilon :
+            scaledTolerances(hierarchy.boundingBox().union(this.boundingBox())).epsilon;
+        let plane = new THREE.Plane();
+        let vertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        let otherVertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
+            // The faces split off are added to the end, so this goes
+            // back a little as the faces are split.
+            progress.report(faceIndex / (this.positions.length/9));
+            if (this.reverseIslands[faceIndex] == NONE) {
                 continue;
             }
-            // Find if there are two identical vertices.
-            for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
-                let position = this.positionFromFaceEdge(faceIndex, edgeIndex);
-                let nextPosition = this.nextPositionInFace(position);
-                if (this.equalTrios(position, nextPosition)) {
-                    // Found a degenerate.
-                    degeneratesRemoved++;
-                    let edge1 = nextPosition;
-                    let edge2 = this.nextPositionInFace(edge1);
-                    // Connect their neighbors.
-                    if (Number.isInteger(this.neighbors[edge1/3])) {
-                        this.neighbors[this.neighbors[edge1/3]] = this.neighbors[edge2/3];
-                    }
-                    if (Number.isInteger(this.neighbors[edge2/3])) {
-                        this.neighbors[this.neighbors[edge2/3]] = this.neighbors[edge1/3];
-                    }
-                    this.reverseIslands[faceIndex] = null;
+            vertices = this.vector3sFromPositions(this.positionsFromFace(faceIndex), vertices);
+            for (let otherFace of hierarchy.facesIntersectingTriangle(...vertices)) {
+                for (let i = 0; i < 3; i++) {
+                    otherVertices[i].fromArray(hierarchy.positions, otherFace*9 + i*3);
+                }
+                plane.setFromCoplanarPoints(...otherVertices);
+                if (plane.normal.lengthSq() > 0) {
+                    // A part without any of the progress, so that the
+                    // arrays aren't trimmed after each split.
+                    let fraction = faceIndex / (this.positions.length/9);
+                    this.splitFaces(plane, {faces: [faceIndex], epsilon: epsilon, progress: progress.part(fraction, fraction)});
                 }
             }
         }
-        return degeneratesRemoved;
+        progress.done();
     }
 
-    // Move the edge that connects to triangles and instead put it
-    // between the other two points.
-    //
-    // position is the edge to move.  The new edge that joins the two
-    // faces after rotation will be the one previous to position.
-    rotateEdge(position) {
-        let positions = [];
-        positions[0] = [this.nextPositionInFace(position)];
-        positions[0].push(this.nextPositionInFace(positions[0][0]),
-                          this.previousPositionInFace(positions[0][0]));
-        // Get neighbors so that positions[0][2] is connected to
-        // positions[1][0] and positions[1][2] is connected to
-        // positions[0][0].
-        positions[1] = [this.nextPositionInFace(this.getNeighborPosition(positions[0][2]))];
-        positions[1].push(this.nextPositionInFace(positions[1][0]),
-                          this.previousPositionInFace(positions[1][0]));
-        let vertices = [];
-        let colors = [];
-        for (let i = 0; i < 2; i++) {
-            vertices[i] = this.vector3sFromPositions(positions[i]);
-            colors[i] = this.colorsFromPositions(positions[i]);
-        }
-        for (let i = 0; i < 2; i++) {
-            this.setPositions([vertices[i][1]], positions[1-i][2]);
-            if (this.colors) {
-                this.setColors([colors[i][1]], positions[1-i][2]);
+    // Delete the faces for which keep(point, normal) is false, where
+    // point is the middle of the face and normal its normal.  Faces
+    // without area are deleted, too.  options.onProgress and
+    // options.signal are as in startProgress().
+    keepFaces(keep, options = {}) {
+        let progress = this.startProgress(options);
+        let vertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        let middle = new THREE.Vector3();
+        let normal = new THREE.Vector3();
+        const faceCount = this.positions.length/9;
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            progress.report(faceIndex / faceCount);
+            if (this.reverseIslands[faceIndex] == NONE) {
+                continue;
+            }
+            vertices = this.vector3sFromPositions(this.positionsFromFace(faceIndex), vertices);
+            middle.copy(vertices[0]).add(vertices[1]).add(vertices[2]).divideScalar(3);
+            normal = this.faceNormal(faceIndex, normal);
+            if (normal.lengthSq() == 0 || !keep(middle, normal)) {
+                this.keepFace(faceIndex);
+                this.reverseIslands[faceIndex] = NONE;
             }
         }
-        // Adjust neighbors.
-        for (let i=0; i < 2; i++) {
+        this.deleteDegenerates();
+        progress.done();
+    }
+
+    // Turn every face over by swapping its second and third points.
+    // Edge e of a face is edge 2-e after the swap, which the neighbors
+    // follow.
+    flipFaces() {
+        for (let array of [this.positions, this.colors]) {
+            if (!array) {
+                continue;
+            }
+            for (let position = 0; position < array.length; position += 9) {
+                for (let i = 3; i < 6; i++) {
+                    [array[position + i], array[position + i + 3]] = [array[position + i + 3], array[position + i]];
+                }
+            }
+        }
+        let flippedEdge = (edge) => edge - edge % 3 + 2 - edge % 3;
+        let neighbors = new Int32Array(this.neighbors.length);
+        for (let edge = 0; edge < this.neighbors.length; edge++) {
+            neighbors[flippedEdge(edge)] = this.neighbors[edge] == NONE ? NONE : flippedEdge(this.neighbors[edge]);
+        }
+        this.neighbors = neighbors;
+    }
+
+    // Combine this shape with another BufferGeometryMutator.  operation
+    // is 'union', 'difference' (this minus other) or 'intersection'.
+    // Returns a new BufferGeometryMutator, this and other are
+    // unaffected.  Throws a GeometryError if either shape has edges
+    // without a neighbor, because then there's no inside.
+    //
+    // The faces of each shape are split where they cross the other,
+    // see splitFacesCrossing(), and the faces on the wrong side of the
+    // other shape are deleted.  Then the faces that are left are
+    // stitched together, see stitch().  The tolerances are from
+    // scaledTolerances() for both shapes.  If the pieces didn't meet,
+    // the holes are filled and the result's filledHoles says how
+    // many.  Colors are kept if either shape has them, faces from a
+    // shape without colors become white.  options.onProgress and
+    // options.signal are as in startProgress().
+    booleanOperation(other, operation, options = {}) {
+        let rules = operationRules(operation);
+        for (let shape of [this, other]) {
+            if (shape.openEdges().length > 0) {
+                let problems = shape.geometryProblems({unmatched: true});
+                throw new GeometryError('Boolean operations need closed shapes: ' + problems.length + ' problems', problems);
+            }
+        }
+        let progress = this.startProgress(options);
+        let withColors = Boolean(this.colors || other.colors);
+        let [hierarchy, otherHierarchy] = [this.faceHierarchy(), other.faceHierarchy()];
+        let tolerances = scaledTolerances(hierarchy.boundingBox().union(otherHierarchy.boundingBox()));
+        let [a, b] = [this.clone(), other.clone()];
+        for (let shape of [a, b]) {
+            if (withColors && !shape.colors) {
+                shape.colors = new Float32Array(shape.positions.length).fill(1);
+            }
+        }
+        a.splitFacesCrossing(otherHierarchy, {epsilon: tolerances.epsilon, progress: progress.part(0, 0.2)});
+        b.splitFacesCrossing(hierarchy, {epsilon: tolerances.epsilon, progress: progress.part(0.2, 0.4)});
+        a.keepFaces((point, normal) => rules.keepA.indexOf(classifyPoint(point, normal, otherHierarchy, tolerances.epsilon)) >= 0,
+                    {progress: progress.part(0.4, 0.6)});
+        b.keepFaces((point, normal) => rules.keepB.indexOf(classifyPoint(point, normal, hierarchy, tolerances.epsilon)) >= 0,
+                    {progress: progress.part(0.6, 0.8)});
+        if (rules.flipB) {
+            b.flipFaces();
+        }
+        let newBufferGeometryMutator = new BufferGeometryMutator();
+        newBufferGeometryMutator.positions = concat(a.positions, b.positions);
+        newBufferGeometryMutator.colors = withColors ? concat(a.colors, b.colors) : undefined;
+        newBufferGeometryMutator.stitch({tolerances: tolerances, progress: progress.part(0.8, 1)});
+        progress.done();
+        return newBufferGeometryMutator;
+    }
+
+    // Connect faces that were split apart, like the faces kept by
+    // booleanOperation(), into closed shapes.  Points closer than the
+    // weld tolerance are welded, faces are split where a point lies on
+    // an edge that has no neighbor, see splitOpenEdges(), breaks in the
+    // loops of edges without neighbors are closed, see closeGaps(), and
+    // the holes that are left are filled, see fillHoles().  Each step
+    // is only taken if the neighbors can't all be found after the one
+    // before.  Then the degenerate faces are removed.
+    // this.filledHoles is the number of holes filled, which is 0 when
+    // the pieces met.
+    //
+    // options.tolerances is {weld, gap} from scaledTolerances(), by
+    // default for this shape.  options.onProgress and options.signal
+    // are as in startProgress().
+    stitch(options = {}) {
+        let progress = this.startProgress(options);
+        let tolerances = options.tolerances || scaledTolerances(this.boundingBox());
+        weldPositions(this.positions, tolerances.weld);
+        let closed = this.findNeighbors({progress: progress.part(0, 0.4)});
+        if (!closed && this.splitOpenEdges(tolerances.weld) > 0) {
+            closed = this.findNeighbors({progress: progress.part(0.4, 0.6)});
+        }
+        if (!closed && this.closeGaps(tolerances.gap) > 0) {
+            closed = this.findNeighbors({progress: progress.part(0.6, 0.8)});
+        }
+        progress.report(0.8);
+        this.filledHoles = closed ? 0 : this.fillHoles();
+        progress.report(0.9);
+        this.removeDegenerates(this.range(this.positions.length/9));
+        this.deleteDegenerates();
+        progress.done();
+    }
+
+    // The positions where the edges without a neighbor start, in faces
+    // that are part of an island.
+    openEdges() {
+        let edges = [];
+        for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
+            if (this.reverseIslands[faceIndex] == NONE) {
+                continue;
+            }
+            for (let position of this.positionsFromFace(faceIndex)) {
+                if (this.neighbors[position/3] == NONE) {
+                    edges.push(position);
+                }
+            }
+        }
+        return edges;
+    }
+
+    // Splitting faces apart makes T-junctions: a point of one face
+    // lies in the middle of an edge of another face so the edges don't
+    // match up.  Split the faces whose edges have no neighbor at the
+    // points of other edges without a neighbor that are within
+    // tolerance of them, see splitFaceAtEdgePoint().  findNeighbors()
+    // must be run afterward.  Returns the number of splits.
+    splitOpenEdges(tolerance) {
+        let splitCount = 0;
+        let passSplits;
+        do {
+            passSplits = this.splitOpenEdgesOnce(tolerance);
+            splitCount += passSplits;
+        } while (passSplits > 0);
+        return splitCount;
+    }
+
+    // One pass of splitOpenEdges().  Splitting an edge moves the next
+    // edge of the face to the new face, so only one edge of each face
+    // is split in a pass.  The edges are found with a
+    // BoundingVolumeHierarchy that has a face for each edge.
+    splitOpenEdgesOnce(tolerance) {
+        let edges = this.openEdges();
+        let points = new Map();
+        let edgePositions = new Float64Array(edges.length * 9);
+        edges.forEach((position, i) => {
+            let next = this.nextPositionInFace(position);
+            points.set(this.keyForTrio(position), position);
+            points.set(this.keyForTrio(next), next);
+            // A face from the start of the edge to its end and back.
+            for (let [offset, point] of [[0, position], [3, next], [6, next]]) {
+                edgePositions.set(this.positions.subarray(point, point + 3), i*9 + offset);
+            }
+        });
+        let hierarchy = new BoundingVolumeHierarchy(edgePositions);
+
+        // Map from each edge to be split to a list of [t, point] of the
+        // points along it, and from each face to its edge that is
+        // split.  The points are copied because splitting moves the
+        // positions.
+        let splits = new Map();
+        let splitEdgeOfFace = new Map();
+        let point = new THREE.Vector3();
+        let box = new THREE.Box3();
+        let line = new THREE.Line3();
+        let closest = new THREE.Vector3();
+        for (let position of points.values()) {
+            point = this.vector3FromPosition(position, point);
+            box.set(point, point).expandByScalar(tolerance);
+            // A point near the corner of a thin face can be near two
+            // of its edges.  Only split the nearest one.
+            let nearest = new Map();
+            for (let edge of hierarchy.facesInBox(box)) {
+                line.start.fromArray(edgePositions, edge*9);
+                line.end.fromArray(edgePositions, edge*9 + 3);
+                let t = line.closestPointToPointParameter(point, false);
+                let distanceSquared = line.at(t, closest).distanceToSquared(point);
+                if (t <= 0 || t >= 1 || distanceSquared > tolerance * tolerance ||
+                    line.start.distanceToSquared(point) <= tolerance * tolerance ||
+                    line.end.distanceToSquared(point) <= tolerance * tolerance) {
+                    continue;
+                }
+                let faceIndex = this.faceFromPosition(edges[edge]);
+                if (!nearest.has(faceIndex) || distanceSquared < nearest.get(faceIndex)[0]) {
+                    nearest.set(faceIndex, [distanceSquared, edges[edge], t]);
+                }
+            }
+            for (let [faceIndex, [, edge, t]] of nearest) {
+                if (!splitEdgeOfFace.has(faceIndex)) {
+                    splitEdgeOfFace.set(faceIndex, edge);
+                    splits.set(edge, []);
+                }
+                if (splitEdgeOfFace.get(faceIndex) == edge) {
+                    splits.get(edge).push([t, point.clone()]);
+                }
+            }
+        }
+
+        let splitCount = 0;
+        for (let [edge, edgeSplits] of splits) {
+            let colors = this.colorsFromPositions([edge, this.nextPositionInFace(edge)]);
+            // From the end of the edge back so that the rest of the edge
+            // stays where it is in the face.
+            edgeSplits.sort((a, b) => b[0] - a[0]);
+            for (let [t, splitPoint] of edgeSplits) {
+                this.splitFaceAtEdgePoint(edge, splitPoint, colors && colors[0].clone().lerp(colors[1], t));
+                splitCount++;
+            }
+        }
+        return splitCount;
+    }
+
+    // Split the face with the edge that starts at position at a point
+    // on that edge, which shouldn't have a neighbor, into two faces.
+    // The face keeps the part from the start of the edge to the point
+    // and a new face gets the part from the point to the end.  Returns
+    // the index of the new face.
+    splitFaceAtEdgePoint(position, point, color) {
+        let faceIndex = this.faceFromPosition(position);
+        let positions = this.positionsFromFace(faceIndex, this.edgeFromPosition(position));
+        let vertices = this.vector3sFromPositions(positions);
+        let colors = this.colorsFromPositions(positions);
+        let newFace = this.positions.length/9;
+        let start = this.positionFromFace(newFace);
+        this.setPositions([point, vertices[1], vertices[2]], start);
+        this.setPositions([point], positions[1]);
+        if (this.colors) {
+            this.setColors([color, colors[1], colors[2]], start);
+            this.setColors([color], positions[1]);
+        }
+        this.reverseIslands[newFace] = this.reverseIslands[faceIndex];
+        // The new face takes the neighbor across from the end of the
+        // edge and shares the edge from the point to the third point.
+        let outsideNeighbor = this.neighbors[positions[1]/3];
+        this.neighbors[start/3 + 1] = outsideNeighbor;
+        if (outsideNeighbor != NONE) {
+            this.neighbors[outsideNeighbor] = start/3 + 1;
+        }
+        this.neighbors[start/3 + 2] = positions[1]/3;
+        this.neighbors[positions[1]/3] = start/3 + 2;
+        return newFace;
+    }
+
+    // Close the breaks in the loops of edges without a neighbor.  Those
+    // edges should make loops around holes but nearly parallel planes
+    // can leave points that are a little too far apart to be welded,
+    // breaking a loop.  A break is where an edge ends and no other
+    // starts or the other way around.  Each start of a break moves to
+    // the nearest end of a break within tolerance, found with a
+    // PointGrid.  findNeighbors() must be run afterward.  Returns the
+    // number of points moved.
+    closeGaps(tolerance) {
+        let edges = this.openEdges();
+        let starts = new Map();
+        let ends = new Map();
+        for (let position of edges) {
+            let next = this.nextPositionInFace(position);
+            starts.set(this.keyForTrio(position), position);
+            ends.set(this.keyForTrio(next), next);
+        }
+        let breakStarts = new Map(Array.from(starts).filter(([key]) => !ends.has(key)));
+        let breakEnds = Array.from(ends).filter(([key]) => !starts.has(key)).map(([, position]) => position);
+        let grid = new PointGrid(tolerance);
+        for (let position of breakStarts.values()) {
+            grid.add(this.vector3FromPosition(position), position);
+        }
+        let pairs = [];
+        let point = new THREE.Vector3();
+        for (let end of breakEnds) {
+            point = this.vector3FromPosition(end, point);
+            for (let start of grid.near(point)) {
+                let distanceSquared = this.vector3FromPosition(start).distanceToSquared(point);
+                if (distanceSquared <= tolerance * tolerance) {
+                    pairs.push([distanceSquared, end, start]);
+                }
+            }
+        }
+        // Close the shortest breaks first.
+        pairs.sort((a, b) => a[0] - b[0]);
+        let moves = new Map();
+        let closed = new Set();
+        for (let [, end, start] of pairs) {
+            if (closed.has(end) || closed.has(start)) {
+                continue;
+            }
+            closed.add(end);
+            closed.add(start);
+            moves.set(this.keyForTrio(start), this.vector3FromPosition(end));
+        }
+        let moved = 0;
+        for (let position = 0; position < this.positions.length; position += 3) {
+            let move = moves.get(this.keyForTrio(position));
+            if (move) {
+                this.setPositions([move], position);
+                moved++;
+            }
+        }
+        return moved;
+    }
+
+    // A new BufferGeometryMutator with the space in either shape.
+    // options are as in booleanOperation().
+    union(other, options = {}) {
+        return this.booleanOperation(other, 'union', options);
+    }
+
+    // A new BufferGeometryMutator with the space in this shape but not
+    // in other.  options are as in booleanOperation().
+    difference(other, options = {}) {
+        return this.booleanOperation(other, 'difference', options);
+    }
+
+    // A new BufferGeometryMutator with the space in both shapes.
+    // options are as in booleanOperation().
+    intersection(other, options = {}) {
+        return this.booleanOperation(other, 'intersection', options);
+    }
+
+    // Make each closed island hollow with walls thickness thick, for
+    // printing with resin.  The inside of the wall is made by moving
+    // every point inward along the average normal of the faces around
+    // it, far enough that the faces move by thickness.  Its faces are
+    // turned to face into the hollow and they're part of the same
+    // island as the outside.  Islands that aren't closed are left as
+    // they are.
+    //
+    // Where the wall is thicker than the shape, the inside crosses
+    // itself or the outside.  Then nothing is changed unless
+    // options.allowIntersections is true.  The faces where it happens
+    // are reported either way.
+    //
+    // options.drainHoles is a list of THREE.Vector3s on the surface
+    // where holes are drilled through the wall, to let resin out.  Each
+    // point is moved to the nearest point on the outside and the hole
+    // goes straight in from there.  Points further than thickness from
+    // the outside are left out.  options.drainHoleRadius is their
+    // radius, 1 by default.
+    //
+    // Returns {hollowed, intersectingFaces, drainHoles}: whether the
+    // shape was changed, the faces whose inside crosses other faces or
+    // is turned over, and the number of drain holes drilled.
+    hollow(thickness, options = {}) {
+        const faceCount = this.positions.length / 9;
+        let openIslands = new Set();
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            if ([0, 1, 2].some((edgeIndex) => this.neighbors[faceIndex*3 + edgeIndex] == NONE)) {
+                openIslands.add(this.reverseIslands[faceIndex]);
+            }
+        }
+        let faces = Array.from(this.range(faceCount)).filter((faceIndex) =>
+            this.reverseIslands[faceIndex] != NONE && !openIslands.has(this.reverseIslands[faceIndex]));
+
+        // How far and which way to move each point, by keyForTrio.  The
+        // normals of the faces are weighted by their angle at the point.
+        let normals = new Map();
+        let faceNormals = new Map();
+        for (let faceIndex of faces) {
+            let normal = this.faceNormal(faceIndex);
+            let positions = this.positionsFromFace(faceIndex);
+            let vertices = this.vector3sFromPositions(positions);
+            for (let i = 0; i < 3; i++) {
+                let key = this.keyForTrio(positions[i]);
+                if (!normals.has(key)) {
+                    normals.set(key, new THREE.Vector3());
+                    faceNormals.set(key, []);
+                }
+                let angle = this.angle3(vertices[(i+2) % 3], vertices[i], vertices[(i+1) % 3]);
+                normals.get(key).add(normal.clone().multiplyScalar(angle));
+                faceNormals.get(key).push(normal);
+            }
+        }
+        let offsets = new Map();
+        for (let [key, normal] of normals) {
+            normal.normalize();
+            // A face moves by the distance times the cosine of the angle
+            // between its normal and the point's.
+            let least = Math.min(...faceNormals.get(key).map((faceNormal) => faceNormal.dot(normal)));
+            offsets.set(key, normal.multiplyScalar(-thickness / Math.max(least, 0.1)));
+        }
+
+        // The inside, with the points in each face in the other order.
+        let innerFaces = new Map();
+        let innerPositions = [];
+        let innerColors = [];
+        for (let faceIndex of faces) {
+            innerFaces.set(faceIndex, faceCount + innerFaces.size);
+            let positions = this.positionsFromFace(faceIndex);
+            positions = [positions[0], positions[2], positions[1]];
+            this.setPositionsIn(innerPositions, positions.map((position) =>
+                this.vector3FromPosition(position).add(offsets.get(this.keyForTrio(position)))), innerPositions.length);
+            if (this.colors) {
+                this.setColorsIn(innerColors, this.colorsFromPositions(positions), innerColors.length);
+            }
+        }
+
+        // Check the inside against itself and the outside.  It crosses
+        // a face, is turned over or has come closer to the outside than
+        // thickness on the other side of the shape.
+        let allPositions = concat(this.positions, innerPositions);
+        let hierarchy = new BoundingVolumeHierarchy(allPositions);
+        let outside = new BoundingVolumeHierarchy(this.positions, faces);
+        let key = (position) => allPositions[position] + '_' + allPositions[position+1] + '_' + allPositions[position+2];
+        let triangle = new THREE.Triangle();
+        let closest = new THREE.Vector3();
+        let tooClose = (point) => {
+            let box = new THREE.Box3().setFromCenterAndSize(point, new THREE.Vector3(2, 2, 2).multiplyScalar(thickness));
+            return outside.facesInBox(box).some((otherFace) => {
+                triangle.set(...this.vector3sFromPositions(this.positionsFromFace(otherFace)));
+                return triangle.closestPointToPoint(point, closest).distanceTo(point) < thickness * (1 - 1e-3);
+            });
+        };
+        let intersectingFaces = [];
+        let innerNormal = new THREE.Vector3();
+        let outerNormal = new THREE.Vector3();
+        for (let [faceIndex, innerFace] of innerFaces) {
+            let vertices = [0, 3, 6].map((offset) => new THREE.Vector3().fromArray(allPositions, innerFace*9 + offset));
+            let keys = new Set([0, 3, 6].map((offset) => key(innerFace*9 + offset)));
+            this.faceNormal(faceIndex, outerNormal);
+            triangle.set(...vertices).normal(innerNormal);
+            let center = triangle.midpoint();
+            if (innerNormal.dot(outerNormal) >= 0 ||
+                hierarchy.facesIntersectingTriangle(...vertices).some((otherFace) =>
+                    [0, 3, 6].every((offset) => !keys.has(key(otherFace*9 + offset)))) ||
+                vertices.concat([center]).some(tooClose)) {
+                intersectingFaces.push(faceIndex);
+            }
+        }
+        if (intersectingFaces.length > 0 && !options.allowIntersections) {
+            return {hollowed: false, intersectingFaces, drainHoles: 0};
+        }
+
+        // Each edge of the inside is next to the same faces as the
+        // outside.  Edge e of a face is edge 2-e after its points 1 and
+        // 2 are swapped.
+        this.neighbors = resize(this.neighbors, (faceCount + innerFaces.size)*3, NONE);
+        this.reverseIslands = resize(this.reverseIslands, faceCount + innerFaces.size, NONE);
+        for (let [faceIndex, innerFace] of innerFaces) {
+            for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                let neighbor = this.getNeighborPosition(this.positionFromFaceEdge(faceIndex, edgeIndex));
+                this.neighbors[innerFace*3 + 2 - edgeIndex] =
+                    innerFaces.get(this.faceFromPosition(neighbor))*3 + 2 - this.edgeFromPosition(neighbor);
+            }
+            this.reverseIslands[innerFace] = this.reverseIslands[faceIndex];
+        }
+        this.positions = allPositions;
+        if (this.colors) {
+            this.colors = concat(this.colors, innerColors);
+        }
+
+        // Find where to drill each hole on the outside before the
+        // holes change it.
+        let holes = [];
+        for (let point of options.drainHoles || []) {
+            let box = new THREE.Box3().setFromCenterAndSize(point, new THREE.Vector3(2, 2, 2).multiplyScalar(thickness));
+            let nearest = null;
+            let nearestDistance = thickness;
+            let onSurface = new THREE.Vector3();
+            for (let faceIndex of outside.facesInBox(box)) {
+                triangle.set(...this.vector3sFromPositions(this.positionsFromFace(faceIndex)));
+                let distance = triangle.closestPointToPoint(point, closest).distanceTo(point);
+                if (distance <= nearestDistance) {
+                    nearest = faceIndex;
+                    nearestDistance = distance;
+                    onSurface.copy(closest);
+                }
+            }
+            if (nearest !== null) {
+                holes.push({point: onSurface, inward: this.faceNormal(nearest).negate()});
+            }
+        }
+        let radius = options.drainHoleRadius !== undefined ? options.drainHoleRadius : 1;
+        for (let {point, inward} of holes) {
+            let drill = cylinder(radius, -thickness, thickness * 1.5, {radialSegments: 16})
+                .applyMatrix(makeBasis(new THREE.Plane(inward, 0), point));
+            let drilled = this.difference(new BufferGeometryMutator().fromBufferGeometry(drill));
+            this.positions = drilled.positions;
+            this.colors = drilled.colors;
+            this.neighbors = drilled.neighbors;
+            this.reverseIslands = drilled.reverseIslands;
+        }
+        this.trim();
+        let drainHoles = holes.length;
+        return {hollowed: true, intersectingFaces, drainHoles};
+    }
+
+    // Find the faces that cross or touch other faces.  findNeighbors
+    // only connects faces by their edges so it misses these, and
+    // they make a shape that can't be sliced properly.  Faces that
+    // share points are only listed if they meet somewhere else too,
+    // like faces folded through each other around a point, and faces
+    // in the same plane are listed if they overlap, see
+    // trianglesMeet().  Returns a list of [faceIndex, otherFaceIndex]
+    // with faceIndex < otherFaceIndex.
+    //
+    // If options.resolve is true, the faces are also split along the
+    // lines where they cross and the pieces that end up inside the
+    // shape are discarded, like a union of the shape with itself.  The
+    // shape must be closed and face outward for that.  Then this is
+    // changed like the result of booleanOperation.
+    selfIntersections(options = {}) {
+        const faceCount = this.positions.length / 9;
+        let hierarchy = new BoundingVolumeHierarchy(this.positions);
+        let epsilon = scaledTolerances(hierarchy.boundingBox()).epsilon;
+        let [triangle, otherTriangle, box] = [new THREE.Triangle(), new THREE.Triangle(), new THREE.Box3()];
+        let pairs = [];
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            if (this.reverseIslands[faceIndex] == NONE) {
+                continue;
+            }
+            triangle.setFromPointsAndIndices(this.vector3sFromPositions(this.positionsFromFace(faceIndex)), 0, 1, 2);
+            box.setFromPoints([triangle.a, triangle.b, triangle.c]).expandByScalar(epsilon);
+            for (let otherFace of hierarchy.facesInBox(box).sort((a, b) => a - b)) {
+                if (otherFace <= faceIndex || this.reverseIslands[otherFace] == NONE) {
+                    continue;
+                }
+                otherTriangle.setFromPointsAndIndices(this.vector3sFromPositions(this.positionsFromFace(otherFace)), 0, 1, 2);
+                if (trianglesMeet(triangle, otherTriangle, epsilon)) {
+                    pairs.push([faceIndex, otherFace]);
+                }
+            }
+        }
+        if (!options.resolve || pairs.length == 0) {
+            return pairs;
+        }
+
+        // The faces are split where they cross, against a copy of the
+        // shape that stays as it was, and the pieces that have the
+        // shape on both sides of them are deleted.  The winding number
+        // is 1 inside the shape and 0 outside, more where it overlaps
+        // itself.
+        let original = this.clone().faceHierarchy();
+        let tolerances = scaledTolerances(original.boundingBox());
+        this.splitFacesCrossing(original, {epsilon: tolerances.epsilon});
+        let offset = new THREE.Vector3();
+        this.keepFaces((point, normal) => {
+            offset.copy(normal).multiplyScalar(tolerances.epsilon * 10);
+            return windingNumber(point.clone().sub(offset), original) > 0 &&
+                windingNumber(point.clone().add(offset), original) <= 0;
+        });
+        this.stitch({tolerances: tolerances});
+        return pairs;
+    }
+
+    // The volume, surface area, center of mass and inertia tensor of
+    // the faces that are part of an island, for a solid of uniform
+    // density, which must be positive.  Use isolate() to get them for
+    // each island.  Returns
+    // {volume, surfaceArea, mass, centerOfMass, inertiaTensor}.  The
+    // volume is negative if the faces point inward.  centerOfMass is
+    // a THREE.Vector3, null if there is no volume.  inertiaTensor is a
+    // THREE.Matrix3 about the center of mass.
+    //
+    // Uses the algorithm in "Polyhedral Mass Properties (Revisited)"
+    // by David Eberly:
+    // https://www.geometrictools.com/Documentation/PolyhedralMassProperties.pdf
+    massProperties(density = 1) {
+        if (!(density > 0)) {
+            throw new Error('The density must be positive: ' + density);
+        }
+        // The integrals of 1, x, y, z, x^2, y^2, z^2, xy, yz and zx
+        // over the volume.
+        let integrals = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+        let surfaceArea = 0;
+        // Sums of powers of the coordinates of the points of a face on
+        // one axis.
+        let subexpressions = (w0, w1, w2) => {
+            let temp0 = w0 + w1;
+            let f1 = temp0 + w2;
+            let temp1 = w0*w0;
+            let temp2 = temp1 + w1*temp0;
+            let f2 = temp2 + w2*f1;
+            let f3 = w0*temp1 + w1*temp2 + w2*f2;
+            return {f1, f2, f3, g: [f2 + w0*(f1 + w0), f2 + w1*(f1 + w1), f2 + w2*(f1 + w2)]};
+        };
+        let d = new THREE.Vector3();
+        let edge = new THREE.Vector3();
+        for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
+            if (this.reverseIslands[faceIndex] == NONE) {
+                continue;
+            }
+            let [p0, p1, p2] = this.vector3sFromPositions(this.positionsFromFace(faceIndex), this.faceNormalVector3s);
+            d.subVectors(p1, p0).cross(edge.subVectors(p2, p0));
+            surfaceArea += d.length() / 2;
+            let x = subexpressions(p0.x, p1.x, p2.x);
+            let y = subexpressions(p0.y, p1.y, p2.y);
+            let z = subexpressions(p0.z, p1.z, p2.z);
+            integrals[0] += d.x * x.f1;
+            integrals[1] += d.x * x.f2;
+            integrals[2] += d.y * y.f2;
+            integrals[3] += d.z * z.f2;
+            integrals[4] += d.x * x.f3;
+            integrals[5] += d.y * y.f3;
+            integrals[6] += d.z * z.f3;
+            integrals[7] += d.x * (p0.y*x.g[0] + p1.y*x.g[1] + p2.y*x.g[2]);
+            integrals[8] += d.y * (p0.z*y.g[0] + p1.z*y.g[1] + p2.z*y.g[2]);
+            integrals[9] += d.z * (p0.x*z.g[0] + p1.x*z.g[1] + p2.x*z.g[2]);
+        }
+        let multipliers = [1/6, 1/24, 1/24, 1/24, 1/60, 1/60, 1/60, 1/120, 1/120, 1/120];
+        integrals = integrals.map((integral, i) => integral * multipliers[i]);
+
+        let volume = integrals[0];
+        integrals = integrals.map((integral) => integral * density);
+        let mass = integrals[0];
+        let centerOfMass = null;
+        let inertiaTensor = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        if (mass != 0) {
+            centerOfMass = new THREE.Vector3(integrals[1], integrals[2], integrals[3]).divideScalar(mass);
+            let center = centerOfMass;
+            // Move the moments from the origin to the center of mass.
+            let xx = integrals[5] + integrals[6] - mass*(center.y*center.y + center.z*center.z);
+            let yy = integrals[4] + integrals[6] - mass*(center.z*center.z + center.x*center.x);
+            let zz = integrals[4] + integrals[5] - mass*(center.x*center.x + center.y*center.y);
+            let xy = -(integrals[7] - mass*center.x*center.y);
+            let yz = -(integrals[8] - mass*center.y*center.z);
+            let zx = -(integrals[9] - mass*center.z*center.x);
+            inertiaTensor.set(xx, xy, zx,
+                              xy, yy, yz,
+                              zx, yz, zz);
+        }
+        return {volume, surfaceArea, mass, centerOfMass, inertiaTensor};
+    }
+
+    // Merge faces where possible.
+    //
+    // Assumes that the current shape has no degenerates.
+    //
+    // Look for edges where one of the points could be moved to the
+    // other point without affecting the shape.  To check this, we
+    // look at the normals of all affected faces before and after the
+    // move.  The two faces adjacent to the collapsed edge should
+    // become degenerate.  The rest should have their normals
+    // unchanged.  If that's true, the collapse is valid.
+    //
+    // Normal unchanged means that the the normal before and after
+    // rounding are the same.  The default is not to round.  If
+    // rounding is wanted, supply a function that compares rounded
+    // Vector3s.  The arguments must not be modified.  Clone the
+    // Vector3s if needed.
+    //
+    // The faces that collpase to degenerates need to later be removed.
+    //
+    // options.onProgress and options.signal are as in
+    // startProgress().  The number of passes isn't known ahead so each
+    // pass gets half of the progress that's left.
+    mergeFaces(equalNormals = function(x, y) { return x.equals(y); }, options = {}) {
+        let progress = this.startProgress(options);
+        let pass = 0;
+        const faceCount = this.positions.length / 9;
+        this.removeDegenerates(this.range(faceCount));
+        let facesMerged = 0;
+        let previousFacesMerged = 0;
+        let startVertex = new THREE.Vector3();
+        let startColor = new THREE.Color();
+        let neighborVertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        let neighborNormal = new THREE.Vector3();
+        let newNeighborNormal = new THREE.Vector3();
+        let triangle = new THREE.Triangle();
+        do {
+            previousFacesMerged = facesMerged;
+            let passProgress = progress.part(1 - Math.pow(2, -pass), 1 - Math.pow(2, -pass - 1));
+            pass++;
+            for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+                passProgress.report(faceIndex / faceCount);
+                for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                    if (this.reverseIslands[faceIndex] == NONE) {
+                        // This face is already a degenerate from
+                        // previous merge operations but not yet
+                        // deleted from this.positions .  Stop
+                        // processing it.  Eventually it will be
+                        // removed from this.positions.
+                        break;
+                    }
+                    let startPosition = this.positionFromFaceEdge(faceIndex, edgeIndex);
+                    let currentPosition = startPosition;
+                    startVertex = this.vector3FromPosition(startPosition, startVertex);
+                    startColor = this.colorFromPosition(startPosition, startColor);
+                    // Test if moving the point would affect any face normals.
+                    do {
+                        currentPosition = this.getNeighborPosition(this.nextPositionInFace(currentPosition));
+                        if (!Number.isInteger(currentPosition)) {
+                            break;
+                        }
+                        let nextPosition = this.nextPositionInFace(currentPosition);
+                        let thirdPosition = this.nextPositionInFace(nextPosition);
+                        neighborVertices = this.vector3sFromPositions([currentPosition,
+                                                                       nextPosition,
+                                                                       thirdPosition], neighborVertices);
+                        neighborNormal = triangle.set(...neighborVertices).normal(neighborNormal);
+                        // After moving the vertex, this will be the new normal.
+                        newNeighborNormal = triangle.set(neighborVertices[0],
+                                                         startVertex,
+                                                         neighborVertices[2]).normal(newNeighborNormal);
+                        if (newNeighborNormal.length() != 0 &&
+                            !equalNormals(neighborNormal, newNeighborNormal)) {
+                            break;  // This face's normal has changed so we can't move it.
+                        }
+                    } while (currentPosition != startPosition);
+                    if (currentPosition == startPosition) {
+                        // We didn't break so this triangle should be collapsable.
+                        facesMerged++;
+                        let faces = [];
+                        do {
+                            let nextPosition = this.nextPositionInFace(currentPosition);
+                            this.setPositions([startVertex], nextPosition);
+                            if (this.colors) {
+                                this.setColors([startColor], nextPosition);
+                            }
+                            faces.push(this.faceFromPosition(currentPosition));
+                            currentPosition = this.getNeighborPosition(nextPosition);
+                        } while (currentPosition != startPosition);
+                        this.removeDegenerates(faces);
+                    }
+                }
+            }
+            this.deleteDegenerates();
+        } while (facesMerged != previousFacesMerged);
+        progress.done();
+        return facesMerged;
+    }
+
+    // Returns the positions of the point at position in each face
+    // around it, going from face to face across their edges, and
+    // whether the faces go all the way around.  If they don't, the
+    // point is on the boundary and the list goes from one side of the
+    // boundary to the other.
+    positionsAroundVertex(position) {
+        let around = [position];
+        let current = this.getNeighborPosition(this.previousPositionInFace(position));
+        while (Number.isInteger(current) && current != position) {
+            around.push(current);
+            current = this.getNeighborPosition(this.previousPositionInFace(current));
+        }
+        if (current == position) {
+            return {positions: around, closed: true};
+        }
+        current = this.getNeighborPosition(position);
+        while (Number.isInteger(current)) {
+            current = this.nextPositionInFace(current);
+            around.unshift(current);
+            current = this.getNeighborPosition(current);
+        }
+        return {positions: around, closed: false};
+    }
+
+    // Split the shape where it isn't manifold: at edges that more than
+    // two faces share and at points where faces only touch at a corner,
+    // like the middle of a bowtie.
+    //
+    // findNeighbors() has already paired up the faces along each edge
+    // into sheets, so the faces around a point are split into fans
+    // that go from face to face across their edges.  A point with more
+    // than one fan is where sheets touch, which includes both ends of
+    // an edge with more than two faces.  Each fan except the biggest is
+    // given its own point by moving it into the fan by
+    // options.separation times the fan's shortest edge, 0.001 by
+    // default.  With a separation of 0, nothing is moved.
+    //
+    // Returns {edges, vertices}.  edges is a list of {start, end,
+    // faces}, one for each edge with more than two faces, where start
+    // and end are THREE.Vector3 and faces are the faces along the
+    // edge.  vertices is a list of {point, fans}, one for each point
+    // with more than one fan, where point is a THREE.Vector3 from
+    // before the split and fans is a list of lists of faces, biggest
+    // first.
+    repairNonManifold(options = {}) {
+        let separation = options.separation === undefined ? 0.001 : options.separation;
+        let faces = Array.from(this.range(this.positions.length/9)).filter((faceIndex) => this.reverseIslands[faceIndex] != NONE);
+        // Map from keyForTrio to positions at that point.
+        let points = new Map();
+        for (let faceIndex of faces) {
+            for (let position of this.positionsFromFace(faceIndex)) {
+                let key = this.keyForTrio(position);
+                if (!points.has(key)) {
+                    points.set(key, []);
+                }
+                points.get(key).push(position);
+            }
+        }
+
+        let report = {edges: [], vertices: []};
+        for (let edge of this.facesByEdge(faces).values()) {
+            if (edge.faces.length > 2) {
+                report.edges.push({start: this.vector3FromPosition(edge.position),
+                                   end: this.vector3FromPosition(this.nextPositionInFace(edge.position)),
+                                   faces: edge.faces});
+            }
+        }
+
+        let point = new THREE.Vector3();
+        let offset = new THREE.Vector3();
+        let normal = new THREE.Vector3();
+        for (let positions of points.values()) {
+            let fans = [];
+            let seen = new Set();
+            for (let position of positions) {
+                if (seen.has(position)) {
+                    continue;
+                }
+                let fan = this.positionsAroundVertex(position).positions;
+                for (let fanPosition of fan) {
+                    seen.add(fanPosition);
+                }
+                fans.push(fan);
+            }
+            if (fans.length < 2) {
+                continue;
+            }
+            fans.sort((a, b) => b.length - a.length);
+            this.vector3FromPosition(positions[0], point);
+            report.vertices.push({point: point.clone(),
+                                  fans: fans.map((fan) => fan.map((position) => this.faceFromPosition(position)))});
+            if (separation == 0) {
+                continue;
+            }
+            for (let fan of fans.slice(1)) {
+                // Into the fan is the average direction of its edges.
+                // A flat fan that goes all the way around has none so
+                // it's moved behind its faces instead.
+                let direction = new THREE.Vector3();
+                let shortest = Infinity;
+                for (let position of fan) {
+                    for (let other of [this.nextPositionInFace(position), this.previousPositionInFace(position)]) {
+                        this.vector3FromPosition(other, offset).sub(point);
+                        shortest = Math.min(shortest, offset.length());
+                        direction.add(offset.normalize());
+                    }
+                }
+                if (direction.length() < 1e-6) {
+                    direction.set(0, 0, 0);
+                    for (let position of fan) {
+                        direction.sub(this.faceNormal(this.faceFromPosition(position), normal));
+                    }
+                }
+                let moved = direction.normalize().multiplyScalar(shortest * separation).add(point);
+                for (let position of fan) {
+                    this.setPositions([moved], position);
+                }
+            }
+        }
+        return report;
+    }
+
+    // Reduce the number of faces by collapsing edges, the ones that
+    // change the shape least first.
+    //
+    // The change is measured with quadric error metrics: each point
+    // keeps the planes of the faces that it was on and the error of
+    // putting it somewhere is the sum of the squared distances from
+    // there to those planes.  Collapsing an edge moves both of its
+    // points to where the error of the two together is least and the
+    // two faces along the edge become degenerates, which are removed
+    // as they're made so that the neighbors stay right.
+    //
+    // Collapses that would change the topology are not done: the
+    // points of the edge must have no neighbors in common other than
+    // the third points of the two faces, points where more than one
+    // fan of faces meet are left alone and no island gets smaller than
+    // a tetrahedron.  Nor are collapses that would turn a face over.
+    // Points on the boundary stay where they are so that the boundary
+    // keeps its shape.  Colors are blended along the collapsed edge.
+    //
+    // options.faces is the number of faces to stop at, half of them by
+    // default.  options.maxError stops before a collapse with more
+    // error than that.  Returns the number of faces removed.
+    //
+    // Uses the algorithm in "Surface Simplification Using Quadric
+    // Error Metrics" by Michael Garland and Paul Heckbert:
+    // https://www.cs.cmu.edu/~garland/Papers/quadrics.pdf
+    decimate(options = {}) {
+        this.removeDegenerates(this.range(this.positions.length / 9));
+        this.deleteDegenerates();
+        const faceCount = this.positions.length / 9;
+        let targetFaces = options.faces !== undefined ? options.faces : Math.floor(faceCount / 2);
+        let maxError = options.maxError !== undefined ? options.maxError : Infinity;
+
+        // A quadric is the 10 numbers of a symmetric 4x4 matrix:
+        // aa, ab, ac, ad, bb, bc, bd, cc, cd, dd for the plane
+        // ax + by + cz + d = 0.
+        let addPlane = (quadric, [a, b, c, d]) => {
+            let products = [a*a, a*b, a*c, a*d, b*b, b*c, b*d, c*c, c*d, d*d];
+            for (let i = 0; i < 10; i++) {
+                quadric[i] += products[i];
+            }
+        };
+        let quadricError = (q, p) => (q[0]*p.x*p.x + 2*q[1]*p.x*p.y + 2*q[2]*p.x*p.z + 2*q[3]*p.x +
+                                      q[4]*p.y*p.y + 2*q[5]*p.y*p.z + 2*q[6]*p.y +
+                                      q[7]*p.z*p.z + 2*q[8]*p.z + q[9]);
+
+        // By keyForTrio of each point: its quadric, the number of
+        // positions at it and how many times it has changed.
+        let quadrics = new Map();
+        let positionCounts = new Map();
+        let versions = new Map();
+        let boundary = new Set();
+        let islandFaces = new Map();
+        let normal = new THREE.Vector3();
+        let point = new THREE.Vector3();
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            let island = this.reverseIslands[faceIndex];
+            islandFaces.set(island, (islandFaces.get(island) || 0) + 1);
+            let positions = this.positionsFromFace(faceIndex);
+            this.faceNormalFromPositions(positions, normal);
+            let plane = [normal.x, normal.y, normal.z, -normal.dot(this.vector3FromPosition(positions[0], point))];
+            for (let position of positions) {
+                let key = this.keyForTrio(position);
+                if (!quadrics.has(key)) {
+                    quadrics.set(key, new Float64Array(10));
+                    versions.set(key, 0);
+                }
+                addPlane(quadrics.get(key), plane);
+                positionCounts.set(key, (positionCounts.get(key) || 0) + 1);
+                if (this.neighbors[position/3] == NONE) {
+                    boundary.add(key);
+                    boundary.add(this.keyForTrio(this.nextPositionInFace(position)));
+                }
+            }
+        }
+
+        // Where to move the points of the edge that starts at position
+        // and the error of doing it, or null if it can't be collapsed.
+        let start = new THREE.Vector3();
+        let end = new THREE.Vector3();
+        let matrix = new THREE.Matrix3();
+        let inverse = new THREE.Matrix3();
+        let collapseTarget = (position) => {
+            let [startKey, endKey] = [this.keyForTrio(position), this.keyForTrio(this.nextPositionInFace(position))];
+            this.vector3FromPosition(position, start);
+            this.vector3FromPosition(this.nextPositionInFace(position), end);
+            let quadric = quadrics.get(startKey).map((value, i) => value + quadrics.get(endKey)[i]);
+            let candidates = [];
+            if (boundary.has(startKey) && boundary.has(endKey)) {
+                return null;
+            } else if (boundary.has(startKey)) {
+                candidates.push(start.clone());
+            } else if (boundary.has(endKey)) {
+                candidates.push(end.clone());
+            } else {
+                let q = quadric;
+                matrix.set(q[0], q[1], q[2],
+                           q[1], q[4], q[5],
+                           q[2], q[5], q[7]);
+                let determinant = matrix.determinant();
+                let scale = Math.pow(q[0] + q[4] + q[7], 3);
+                if (Math.abs(determinant) > 1e-10 * scale) {
+                    let optimal = new THREE.Vector3(-q[3], -q[6], -q[8]).applyMatrix3(inverse.getInverse(matrix));
+                    // Far away from the edge when the faces are
+                    // almost flat.
+                    if (optimal.distanceTo(start) + optimal.distanceTo(end) <= 2 * start.distanceTo(end)) {
+                        candidates.push(optimal);
+                    }
+                }
+                candidates.push(start.clone(), end.clone(), start.clone().add(end).multiplyScalar(0.5));
+            }
+            let best = null;
+            for (let candidate of candidates) {
+                let error = quadricError(quadric, candidate);
+                if (best === null || error < best.error) {
+                    best = {point: candidate, error: Math.max(error, 0)};
+                }
+            }
+            return best;
+        };
+
+        // A heap of edges to collapse, least error first.  An edge is
+        // stale when either of its points has changed since it went in.
+        let heap = [];
+        let pushEdge = (position) => {
+            let target = collapseTarget(position);
+            if (target === null) {
+                return;
+            }
+            let [startKey, endKey] = [this.keyForTrio(position), this.keyForTrio(this.nextPositionInFace(position))];
+            heap.push({position, startKey, endKey, target,
+                       startVersion: versions.get(startKey), endVersion: versions.get(endKey)});
+            let i = heap.length - 1;
+            while (i > 0 && heap[(i-1) >> 1].target.error > heap[i].target.error) {
+                [heap[(i-1) >> 1], heap[i]] = [heap[i], heap[(i-1) >> 1]];
+                i = (i-1) >> 1;
+            }
+        };
+        let popEdge = () => {
+            let top = heap[0];
+            let last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    let smallest = i;
+                    for (let child of [2*i + 1, 2*i + 2]) {
+                        if (child < heap.length && heap[child].target.error < heap[smallest].target.error) {
+                            smallest = child;
+                        }
+                    }
+                    if (smallest == i) {
+                        break;
+                    }
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+        for (let position = 0; position < this.positions.length; position += 3) {
+            let neighbor = this.getNeighborPosition(position);
+            if (Number.isInteger(neighbor) && position < neighbor) {
+                pushEdge(position);
+            }
+        }
+
+        let liveFaces = faceCount;
+        let oldNormal = new THREE.Vector3();
+        let newNormal = new THREE.Vector3();
+        let triangle = new THREE.Triangle();
+        let vertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        while (liveFaces > targetFaces && heap.length > 0) {
+            let edge = popEdge();
+            if (edge.target.error > maxError) {
+                break;
+            }
+            let position = edge.position;
+            let nextPosition = this.nextPositionInFace(position);
+            let neighborPosition = this.getNeighborPosition(position);
+            let faceIndex = this.faceFromPosition(position);
+            let island = this.reverseIslands[faceIndex];
+            if (island == NONE ||
+                this.keyForTrio(position) != edge.startKey || this.keyForTrio(nextPosition) != edge.endKey ||
+                versions.get(edge.startKey) != edge.startVersion || versions.get(edge.endKey) != edge.endVersion ||
+                !Number.isInteger(neighborPosition) || islandFaces.get(island) <= 4) {
+                continue;
+            }
+            let neighborFace = this.faceFromPosition(neighborPosition);
+            let startAround = this.positionsAroundVertex(position).positions;
+            let endAround = this.positionsAroundVertex(nextPosition).positions;
+            if (startAround.length != positionCounts.get(edge.startKey) ||
+                endAround.length != positionCounts.get(edge.endKey)) {
+                continue;
+            }
+            // The points next to each point of the edge.
+            let linked = (around) => {
+                let keys = new Set();
+                for (let p of around) {
+                    keys.add(this.keyForTrio(this.nextPositionInFace(p)));
+                    keys.add(this.keyForTrio(this.previousPositionInFace(p)));
+                }
+                return keys;
+            };
+            let endLinked = linked(endAround);
+            let shared = Array.from(linked(startAround)).filter((key) => endLinked.has(key));
+            if (shared.length != 2) {
+                continue;
+            }
+            // Check that no face turns over.
+            let moved = startAround.concat(endAround).filter((p) => {
+                let face = this.faceFromPosition(p);
+                return face != faceIndex && face != neighborFace;
+            });
+            let turnsOver = moved.some((p) => {
+                let positions = [p, this.nextPositionInFace(p), this.previousPositionInFace(p)];
+                this.vector3sFromPositions(positions, vertices);
+                triangle.set(...vertices).normal(oldNormal);
+                triangle.set(edge.target.point, vertices[1], vertices[2]).normal(newNormal);
+                return newNormal.lengthSq() == 0 || oldNormal.dot(newNormal) <= 0;
+            });
+            if (turnsOver) {
+                continue;
+            }
+
+            // Collapse.
+            let color = null;
+            if (this.colors) {
+                this.vector3FromPosition(position, start);
+                this.vector3FromPosition(nextPosition, end);
+                let along = end.clone().sub(start);
+                let t = along.lengthSq() == 0 ? 0 : THREE.Math.clamp(edge.target.point.clone().sub(start).dot(along) / along.lengthSq(), 0, 1);
+                color = this.colorFromPosition(position).lerp(this.colorFromPosition(nextPosition), t);
+            }
+            let removedKeys = [this.keyForTrio(this.previousPositionInFace(position)),
+                               this.keyForTrio(this.previousPositionInFace(neighborPosition))];
+            for (let p of startAround.concat(endAround)) {
+                this.setPositions([edge.target.point], p);
+                if (color) {
+                    this.setColors([color], p);
+                }
+            }
+            let newKey = this.keyForTrio(position);
+            this.removeDegenerates([faceIndex, neighborFace]);
+            liveFaces -= 2;
+            islandFaces.set(island, islandFaces.get(island) - 2);
+
+            let quadric = quadrics.get(edge.startKey).map((value, i) => value + quadrics.get(edge.endKey)[i]);
+            let wasBoundary = boundary.has(edge.startKey) || boundary.has(edge.endKey);
+            for (let key of [edge.startKey, edge.endKey]) {
+                quadrics.delete(key);
+                positionCounts.delete(key);
+                boundary.delete(key);
+                versions.set(key, versions.get(key) + 1);
+            }
+            quadrics.set(newKey, quadric);
+            positionCounts.set(newKey, (positionCounts.get(newKey) || 0) + moved.length);
+            versions.set(newKey, (versions.get(newKey) || 0) + 1);
+            if (wasBoundary) {
+                boundary.add(newKey);
+            }
+            for (let key of removedKeys) {
+                positionCounts.set(key, positionCounts.get(key) - 1);
+            }
+            for (let p of moved) {
+                pushEdge(p);
+                pushEdge(this.previousPositionInFace(p));
+            }
+        }
+        this.deleteDegenerates();
+        return faceCount - this.positions.length / 9;
+    }
+
+    // Split every face into 4 by the midpoints of its edges.
+    //
+    // options.scheme is 'loop', the default, for Loop subdivision,
+    // which moves the points to make the shape smoother, or
+    // 'midpoint', which keeps the shape as it is.  options.iterations
+    // is how many times to do it, 1 by default.  With Loop
+    // subdivision, edges where the faces meet at more than
+    // options.creaseAngle degrees are kept sharp, as are the edges of
+    // the boundary.  Points where more than 2 sharp edges meet and
+    // points where more than one fan of faces meet stay where they
+    // are.  Colors are kept at the corners and blended along the edges
+    // of each face.  The neighbors and islands are worked out from the
+    // old ones so the result is as manifold as the shape was.
+    //
+    // Loop subdivision is in "Smooth Subdivision Surfaces Based on
+    // Triangles" by Charles Loop:
+    // https://www.microsoft.com/en-us/research/wp-content/uploads/2016/02/thesis-10.pdf
+    // The rules for sharp edges are from "Piecewise Smooth Surface
+    // Reconstruction" by Hugues Hoppe et al.:
+    // http://hhoppe.com/psrec.pdf
+    subdivide(options = {}) {
+        let scheme = options.scheme || 'loop';
+        if (scheme != 'loop' && scheme != 'midpoint') {
+            throw new Error('Unknown subdivision scheme: ' + scheme);
+        }
+        let iterations = options.iterations !== undefined ? options.iterations : 1;
+        let creaseAngle = options.creaseAngle !== undefined ? THREE.Math.degToRad(options.creaseAngle) : Infinity;
+        this.removeDegenerates(this.range(this.positions.length / 9));
+        this.deleteDegenerates();
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            this.subdivideOnce(scheme, creaseAngle);
+        }
+        return this;
+    }
+
+    // One step of subdivide.  creaseAngle is in radians.
+    subdivideOnce(scheme, creaseAngle) {
+        const faceCount = this.positions.length / 9;
+        let normals = [];
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            normals.push(this.faceNormal(faceIndex));
+        }
+        let isSharp = (position) => {
+            let neighbor = this.getNeighborPosition(position);
+            return !Number.isInteger(neighbor) ||
+                normals[this.faceFromPosition(position)].angleTo(normals[this.faceFromPosition(neighbor)]) > creaseAngle;
+        };
+        let positionCounts = new Map();
+        for (let position = 0; position < this.positions.length; position += 3) {
+            let key = this.keyForTrio(position);
+            positionCounts.set(key, (positionCounts.get(key) || 0) + 1);
+        }
+
+        // Where each old point goes, by keyForTrio.
+        let points = new Map();
+        let pointAt = (position) => {
+            let key = this.keyForTrio(position);
+            if (points.has(key)) {
+                return points.get(key);
+            }
+            let point = this.vector3FromPosition(position);
+            let around = this.positionsAroundVertex(position);
+            if (scheme == 'loop' && around.positions.length == positionCounts.get(key)) {
+                // The points next to this one and the ones along sharp
+                // edges.
+                let next = [];
+                let sharp = [];
+                for (let p of around.positions) {
+                    next.push(this.nextPositionInFace(p));
+                    if (isSharp(p)) {
+                        sharp.push(this.nextPositionInFace(p));
+                    }
+                }
+                let first = around.positions[0];
+                if (!around.closed) {
+                    next.push(this.previousPositionInFace(first));
+                    sharp.push(this.previousPositionInFace(first));
+                }
+                if (sharp.length == 2) {
+                    point.multiplyScalar(3/4);
+                    for (let p of sharp) {
+                        point.add(this.vector3FromPosition(p).multiplyScalar(1/8));
+                    }
+                } else if (sharp.length < 2) {
+                    let n = next.length;
+                    let beta = (5/8 - Math.pow(3/8 + Math.cos(2 * Math.PI / n) / 4, 2)) / n;
+                    point.multiplyScalar(1 - n * beta);
+                    for (let p of next) {
+                        point.add(this.vector3FromPosition(p).multiplyScalar(beta));
+                    }
+                }
+            }
+            points.set(key, point);
+            return point;
+        };
+        // The new point on the edge that starts at position, by the
+        // keys of both ends so that both faces get the same one.
+        let edgePoints = new Map();
+        let edgePointAt = (position) => {
+            let nextPosition = this.nextPositionInFace(position);
+            let key = [this.keyForTrio(position), this.keyForTrio(nextPosition)].sort().join('|');
+            if (edgePoints.has(key)) {
+                return edgePoints.get(key);
+            }
+            let point = this.vector3FromPosition(position).add(this.vector3FromPosition(nextPosition));
+            let neighbor = this.getNeighborPosition(position);
+            if (scheme == 'loop' && !isSharp(position)) {
+                point.multiplyScalar(3/8)
+                    .add(this.vector3FromPosition(this.previousPositionInFace(position)).multiplyScalar(1/8))
+                    .add(this.vector3FromPosition(this.previousPositionInFace(neighbor)).multiplyScalar(1/8));
+            } else {
+                point.multiplyScalar(1/2);
+            }
+            edgePoints.set(key, point);
+            return point;
+        };
+
+        let newPositions = new Float64Array(this.positions.length * 4);
+        let newColors = this.colors ? new Float32Array(this.colors.length * 4) : undefined;
+        let newNeighbors = new Int32Array(this.neighbors.length * 4);
+        let newReverseIslands = new Int32Array(faceCount * 4);
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            let positions = this.positionsFromFace(faceIndex);
+            let corners = positions.map(pointAt);
+            let middles = positions.map(edgePointAt);
+            let cornerColors = this.colorsFromPositions(positions);
+            let middleColors = cornerColors && cornerColors.map((color, i) => color.clone().lerp(cornerColors[(i+1) % 3], 0.5));
+            // Face k is at corner k and face 3 is in the middle.  Edge
+            // 0 of face k is the first half of old edge k, edge 2 is
+            // the second half of old edge k+2 and edge 1 is next to
+            // face 3.
+            let faces = [0, 1, 2].map((k) => [corners[k], middles[k], middles[(k+2) % 3]]).concat([middles]);
+            let colors = cornerColors && [0, 1, 2].map((k) => [cornerColors[k], middleColors[k], middleColors[(k+2) % 3]])
+                .concat([middleColors]);
+            for (let k = 0; k < 4; k++) {
+                let newFace = faceIndex*4 + k;
+                this.setPositionsIn(newPositions, faces[k], newFace*9);
+                if (colors) {
+                    this.setColorsIn(newColors, colors[k], newFace*9);
+                }
+                newReverseIslands[newFace] = this.reverseIslands[faceIndex];
+            }
+            for (let k = 0; k < 3; k++) {
+                newNeighbors[(faceIndex*4 + k)*3 + 1] = (faceIndex*4 + 3)*3 + (k+2) % 3;
+                newNeighbors[(faceIndex*4 + 3)*3 + (k+2) % 3] = (faceIndex*4 + k)*3 + 1;
+                let neighbor = this.getNeighborPosition(positions[k]);
+                if (Number.isInteger(neighbor)) {
+                    let [neighborFace, neighborEdge] = [this.faceFromPosition(neighbor), this.edgeFromPosition(neighbor)];
+                    newNeighbors[(faceIndex*4 + k)*3] = (neighborFace*4 + (neighborEdge+1) % 3)*3 + 2;
+                    newNeighbors[(faceIndex*4 + (k+1) % 3)*3 + 2] = (neighborFace*4 + neighborEdge)*3;
+                } else {
+                    newNeighbors[(faceIndex*4 + k)*3] = NONE;
+                    newNeighbors[(faceIndex*4 + (k+1) % 3)*3 + 2] = NONE;
+                }
+            }
+        }
+        this.positions = newPositions;
+        this.colors = newColors;
+        this.neighbors = newNeighbors;
+        this.reverseIslands = newReverseIslands;
+    }
+
+    removeDegenerates(faces) {
+        let previousTotalDegeneratesRemoved = 0;
+        let totalDegeneratesRemoved = 0;
+        let degeneratesRemoved = 0;
+        do {
+            previousTotalDegeneratesRemoved = totalDegeneratesRemoved;
+            totalDegeneratesRemoved += this.removeDegenerates0Angle(faces);
+            totalDegeneratesRemoved += this.removeDegenerates180Angle(faces);
+        } while(previousTotalDegeneratesRemoved != totalDegeneratesRemoved);
+        return totalDegeneratesRemoved;
+    }
+
+    // Remove degenerates where two of 3 vertices are the same.
+    removeDegenerates0Angle(faces) {
+        let degeneratesRemoved = 0;
+        for (let faceIndex of faces) {
+            if (this.reverseIslands[faceIndex] == NONE) {
+                // Already going to be removed.
+                continue;
+            }
+            // Find if there are two identical vertices.
+            for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                let position = this.positionFromFaceEdge(faceIndex, edgeIndex);
+                let nextPosition = this.nextPositionInFace(position);
+                if (this.equalTrios(position, nextPosition)) {
+                    // Found a degenerate.
+                    degeneratesRemoved++;
+                    let edge1 = nextPosition;
+                    let edge2 = this.nextPositionInFace(edge1);
+                    // Connect their neighbors.
+                    this.keepFace(faceIndex);
+                    if (this.neighbors[edge1/3] != NONE) {
+                        this.keepFace(this.faceFromPosition(this.neighbors[edge1/3]*3));
+                        this.neighbors[this.neighbors[edge1/3]] = this.neighbors[edge2/3];
+                    }
+                    if (this.neighbors[edge2/3] != NONE) {
+                        this.keepFace(this.faceFromPosition(this.neighbors[edge2/3]*3));
+                        this.neighbors[this.neighbors[edge2/3]] = this.neighbors[edge1/3];
+                    }
+                    this.reverseIslands[faceIndex] = NONE;
+                }
+            }
+        }
+        return degeneratesRemoved;
+    }
+
+    // Move the edge that connects to triangles and instead put it
+    // between the other two points.
+    //
+    // position is the edge to move.  The new edge that joins the two
+    // faces after rotation will be the one previous to position.
+    rotateEdge(position) {
+        let positions = [];
+        positions[0] = [this.nextPositionInFace(position)];
+        positions[0].push(this.nextPositionInFace(positions[0][0]),
+                          this.previousPositionInFace(positions[0][0]));
+        // Get neighbors so that positions[0][2] is connected to
+        // positions[1][0] and positions[1][2] is connected to
+        // positions[0][0].
+        positions[1] = [this.nextPositionInFace(this.getNeighborPosition(positions[0][2]))];
+        positions[1].push(this.nextPositionInFace(positions[1][0]),
+                          this.previousPositionInFace(positions[1][0]));
+        let vertices = [];
+        let colors = [];
+        for (let i = 0; i < 2; i++) {
+            vertices[i] = this.vector3sFromPositions(positions[i]);
+            colors[i] = this.colorsFromPositions(positions[i]);
+        }
+        for (let i = 0; i < 2; i++) {
+            this.setPositions([vertices[i][1]], positions[1-i][2]);
+            if (this.colors) {
+                this.setColors([colors[i][1]], positions[1-i][2]);
+            }
+        }
+        // Adjust neighbors.
+        for (let i=0; i < 2; i++) {
             this.neighbors[positions[  i][2]/3] = this.neighbors[positions[1-i][1]/3];
             this.neighbors[positions[1-i][1]/3] =                positions[  i][1]/3;
         }
         // Make the above neighbor assignments symmetric.
         for (let i = 0; i < 2; i++) {
             for (let j = 0; j < 3; j++) {
-                if (Number.isInteger(this.neighbors[positions[i][j]/3])) {
+                if (this.neighbors[positions[i][j]/3] != NONE) {
+                    this.keepFace(this.faceFromPosition(this.neighbors[positions[i][j]/3]*3));
                     this.neighbors[this.neighbors[positions[i][j]/3]] = positions[i][j]/3;
                 }
             }
@@ -1376,7 +3116,7 @@ class BufferGeometryMutator {
             for (let pos of edgePositionsDelaunay) {
                 let faceIndex = this.faceFromPosition(pos);
                 edgePositionsDelaunay.delete(pos);
-                if (!Number.isInteger(this.reverseIslands[faceIndex])) {
+                if (this.reverseIslands[faceIndex] == NONE) {
                     // Already going to be removed.
                     continue;
                 }
@@ -1417,12 +3157,14 @@ class BufferGeometryMutator {
 
     // Make the shape manifold by connecting edges that aren't
     // connected.  If island is null, ignore islands and rebuild at
-    // the end.
-    fixHoles(island = null) {
+    // the end.  options.onProgress and options.signal are as in
+    // startProgress().
+    fixHoles(island = null, options = {}) {
+        let progress = this.startProgress(options);
         // Find all the edges that are unconnected.
         let unconnectedEdges = new Set();
         for (let i = 0; i < this.neighbors.length; i++) {
-            if (!Number.isInteger(this.neighbors[i]) &&
+            if (this.neighbors[i] == NONE &&
                 (!Number.isInteger(island) ||
                  this.reverseIslands[this.faceFromPosition(i*3)] == island)) {
                 unconnectedEdges.add(i*3);
@@ -1443,7 +3185,9 @@ class BufferGeometryMutator {
         let b = new THREE.Vector3();
         let c = new THREE.Vector3();
         let unconnectedEdgeNormal = new THREE.Vector3();
+        const edgeCount = unconnectedEdges.size;
         while (unconnectedEdges.size > 0) {
+            progress.report(1 - unconnectedEdges.size / edgeCount);
             // Find the best new face to add to the object.
             let smallestScore = Infinity;
             let smallestABC = null;
@@ -1485,6 +3229,7 @@ class BufferGeometryMutator {
                     if (this.equalTrios(newUnconnectedEdge, this.nextPositionInFace(otherUnconnectedEdge)) &&
                         this.equalTrios(this.nextPositionInFace(newUnconnectedEdge), otherUnconnectedEdge)) {
                         // We can connect this.
+                        this.keepFace(this.faceFromPosition(otherUnconnectedEdge));
                         this.neighbors[newUnconnectedEdge/3] = otherUnconnectedEdge/3;
                         this.neighbors[otherUnconnectedEdge/3] = newUnconnectedEdge/3;
                         unconnectedEdges.delete(otherUnconnectedEdge);
@@ -1492,12 +3237,13 @@ class BufferGeometryMutator {
                     }
                 }
             }
-            this.reverseIslands[(this.positions.length-9)/9] = island;
+            this.reverseIslands[(this.positions.length-9)/9] = Number.isInteger(island) ? island : NONE;
         }
         if (!Number.isInteger(island)) {
             // Need to recreate all the islands.
             this.computeIslands();
         }
+        progress.done();
     }
 
     computeIslands() {
@@ -1541,7 +3287,7 @@ class BufferGeometryMutator {
                 return root1;
             }
         }
-        this.reverseIslands = [];
+        this.reverseIslands = new Int32Array(this.positions.length/9);
         for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
             for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
                 let position = this.positionFromFaceEdge(faceIndex, edgeIndex);
@@ -1557,15 +3303,598 @@ class BufferGeometryMutator {
         }
     }
 
+    // Returns the holes, each a list of the positions where its
+    // unconnected face-edges start, in order around the hole.  Holes
+    // whose edges can't be followed all the way around are left out.
+    boundaryLoops() {
+        let seen = new Set();
+        let loops = [];
+        for (let faceIndex = 0; faceIndex < this.positions.length/9; faceIndex++) {
+            if (this.reverseIslands[faceIndex] == NONE) {
+                continue;
+            }
+            for (let start of this.positionsFromFace(faceIndex)) {
+                if (Number.isInteger(this.getNeighborPosition(start)) || seen.has(start)) {
+                    continue;
+                }
+                let loop = [];
+                let current = start;
+                while (!seen.has(current)) {
+                    seen.add(current);
+                    loop.push(current);
+                    // The next edge starts at the other side of the
+                    // fan of faces at the end of this one.
+                    current = this.positionsAroundVertex(this.nextPositionInFace(current)).positions[0];
+                }
+                if (current == start) {
+                    loops.push(loop);
+                }
+            }
+        }
+        return loops;
+    }
+
+    // Triangulate a hole with the faces that bend least where they
+    // meet each other and the faces around the hole and, of those,
+    // the least area.  points is a list of THREE.Vector3 around the hole
+    // in the order of the face-edges and normals[i] is the normal of
+    // the face with the edge from points[i] to points[i+1].  Returns a
+    // list of faces, each a list of 3 indices in points, that go the
+    // other way around from the faces along the hole.
+    //
+    // Takes time proportional to the cube of the number of points, so
+    // a hole with more than MAX_POINTS points is filled with a fan
+    // from its first point instead.  That's flat and can overlap
+    // itself where the hole isn't convex.
+    triangulateHole(points, normals) {
+        const MAX_POINTS = 200;
+        let n = points.length;
+        if (n > MAX_POINTS) {
+            return Array.from(this.range(n - 2)).map((i) => [i + 2, i + 1, 0]);
+        }
+        let angles = new Float64Array(n*n);
+        let areas = new Float64Array(n*n);
+        // The middle point of the best triangle on each diagonal and
+        // its normal.
+        let middles = [];
+        let triangleNormals = [];
+        let u = new THREE.Vector3();
+        let v = new THREE.Vector3();
+        // The angle from the normal to the normal of the other side of
+        // the edge from points[i] to points[k], going around the hole,
+        // with i < k.  Degenerate faces have no normal and bend the most.
+        let bend = (normal, i, k) => {
+            let other = k == i + 1 ? normals[i] : triangleNormals[i*n + k];
+            return other.lengthSq() == 0 ? Math.PI : normal.angleTo(other);
+        };
+        for (let length = 2; length < n; length++) {
+            for (let i = 0; i + length < n; i++) {
+                let k = i + length;
+                let best = null;
+                for (let m = i + 1; m < k; m++) {
+                    // The new face goes k, m, i.
+                    u.subVectors(points[m], points[k]);
+                    v.subVectors(points[i], points[k]);
+                    let normal = u.cross(v);
+                    let area = normal.length() / 2;
+                    let angle = Math.PI;
+                    if (area > 0) {
+                        normal.normalize();
+                        angle = Math.max(bend(normal, i, m), bend(normal, m, k));
+                        if (i == 0 && k == n - 1) {
+                            angle = Math.max(angle, bend(normal, n - 1, n));
+                        }
+                    }
+                    angle = Math.max(angle, angles[i*n + m], angles[m*n + k]);
+                    area += areas[i*n + m] + areas[m*n + k];
+                    if (best === null || angle < best.angle || angle == best.angle && area < best.area) {
+                        best = {angle, area, m, normal: normal.clone()};
+                    }
+                }
+                angles[i*n + k] = best.angle;
+                areas[i*n + k] = best.area;
+                middles[i*n + k] = best.m;
+                triangleNormals[i*n + k] = best.normal;
+            }
+        }
+        let faces = [];
+        let stack = [[0, n - 1]];
+        while (stack.length > 0) {
+            let [i, k] = stack.pop();
+            if (k - i < 2) {
+                continue;
+            }
+            let m = middles[i*n + k];
+            faces.push([k, m, i]);
+            stack.push([i, m], [m, k]);
+        }
+        return faces;
+    }
+
+    // Split the face at the point, which should be inside it, into 3
+    // faces around the point.  The face keeps the part along its first
+    // edge.  Returns the indices of the 2 new faces.
+    splitFaceAtPoint(faceIndex, point, color) {
+        let positions = this.positionsFromFace(faceIndex);
+        let vertices = this.vector3sFromPositions(positions);
+        let colors = this.colorsFromPositions(positions);
+        let outsideNeighbors = positions.map((position) => this.neighbors[position/3]);
+        let newFaces = [this.positions.length/9, this.positions.length/9 + 1];
+        let faces = [faceIndex].concat(newFaces);
+        for (let i = 0; i < 3; i++) {
+            let start = this.positionFromFace(faces[i]);
+            this.setPositions([vertices[i], vertices[(i+1) % 3], point], start);
+            if (this.colors) {
+                this.setColors([colors[i], colors[(i+1) % 3], color], start);
+            }
+            this.reverseIslands[faces[i]] = this.reverseIslands[faceIndex];
+        }
+        for (let i = 0; i < 3; i++) {
+            let edge = this.positionFromFace(faces[i])/3;
+            this.neighbors[edge] = outsideNeighbors[i];
+            if (outsideNeighbors[i] != NONE) {
+                this.neighbors[outsideNeighbors[i]] = edge;
+            }
+            // From the second point to the new point and back to the
+            // first point of the next face.
+            this.neighbors[edge + 1] = this.positionFromFace(faces[(i+1) % 3])/3 + 2;
+            this.neighbors[this.positionFromFace(faces[(i+1) % 3])/3 + 2] = edge + 1;
+        }
+        return newFaces;
+    }
+
+    // Fill the holes with new faces, as in "Filling Holes in Meshes"
+    // by Peter Liepa:
+    // https://www.cs.ubc.ca/~sheffa/dgp/papers/liepa.pdf
+    //
+    // Each hole is triangulated with the faces that bend least and
+    // then have the least area, see triangulateHole(), so that a
+    // hole on a curved surface isn't filled with a flat fan.  With
+    // options.refine, faces of the patch that are much bigger than the
+    // faces around the hole are split at their middles and the edges
+    // of the patch are flipped to keep its faces well shaped.  With
+    // options.fair, which needs options.refine, the new points are then
+    // moved so that the patch is as smooth as it can be while meeting
+    // the surface around it, which makes it follow the curve of the
+    // surface.  Returns the number of holes filled.
+    fillHoles(options = {}) {
+        // How much bigger than the faces around them the faces of the
+        // patch can be.
+        const DENSITY = Math.SQRT2;
+        // Refining gives up after this many splits.
+        const MAX_SPLITS = 10000;
+        const MAX_FAIR_ITERATIONS = 1000;
+        let loops = this.boundaryLoops().filter((loop) => loop.length >= 3);
+        let patch = new Set();
+        // The average length of the edges at each point, by
+        // keyForTrio, for refining.
+        let scales = new Map();
+        // The keys of the points added inside the patch.
+        let newPoints = new Set();
+        let joinsIslands = false;
+        for (let loop of loops) {
+            if (options.refine) {
+                for (let position of loop) {
+                    let ends = new Map();
+                    for (let fanPosition of this.positionsAroundVertex(position).positions) {
+                        for (let end of [this.nextPositionInFace(fanPosition), this.previousPositionInFace(fanPosition)]) {
+                            ends.set(this.keyForTrio(end), end);
+                        }
+                    }
+                    let point = this.vector3FromPosition(position);
+                    let total = 0;
+                    for (let end of ends.values()) {
+                        total += point.distanceTo(this.vector3FromPosition(end));
+                    }
+                    scales.set(this.keyForTrio(position), total / ends.size);
+                }
+            }
+            let points = this.vector3sFromPositions(loop);
+            let normals = loop.map((position) => this.faceNormal(this.faceFromPosition(position)));
+            let island = this.reverseIslands[this.faceFromPosition(loop[0])];
+            joinsIslands = joinsIslands || loop.some((position) => this.reverseIslands[this.faceFromPosition(position)] != island);
+            // Map from the indices of the start and end of each edge
+            // of the new faces to its face-edge.
+            let newEdges = new Map();
+            for (let face of this.triangulateHole(points, normals)) {
+                let faceIndex = this.positions.length/9;
+                this.setPositions(face.map((i) => points[i]), this.positionFromFace(faceIndex));
+                if (this.colors) {
+                    this.setColors(this.colorsFromPositions(face.map((i) => loop[i])), this.positionFromFace(faceIndex));
+                }
+                this.reverseIslands[faceIndex] = island;
+                patch.add(faceIndex);
+                for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                    newEdges.set(face[edgeIndex] + '_' + face[(edgeIndex+1) % 3], this.positionFromFaceEdge(faceIndex, edgeIndex));
+                }
+            }
+            for (let [key, position] of newEdges) {
+                let [start, end] = key.split('_').map(Number);
+                let other = newEdges.get(end + '_' + start);
+                if (other === undefined) {
+                    // Along the hole, end is the start of the old edge.
+                    other = loop[end];
+                }
+                this.neighbors[position/3] = other/3;
+                this.neighbors[other/3] = position/3;
+            }
+        }
+
+        if (options.refine) {
+            let vertex = new THREE.Vector3();
+            let middle = new THREE.Vector3();
+            let u = new THREE.Vector3();
+            let v = new THREE.Vector3();
+            // Flip the edge at position if the patch would be better
+            // shaped with the other diagonal of its two faces.
+            let relax = (position) => {
+                let neighborPosition = this.getNeighborPosition(position);
+                if (!Number.isInteger(neighborPosition) || !patch.has(this.faceFromPosition(neighborPosition))) {
+                    return false;
+                }
+                let [a, b, c] = this.vector3sFromPositions(this.positionsFromFace(this.faceFromPosition(position), this.edgeFromPosition(position)));
+                let d = this.vector3FromPosition(this.previousPositionInFace(neighborPosition));
+                // Delaunay: the angles across from the edge add up to
+                // more than half a turn.
+                let angle = (p, q, r) => u.subVectors(q, p).angleTo(v.subVectors(r, p));
+                if (angle(c, a, b) + angle(d, b, a) <= Math.PI + 1e-9) {
+                    return false;
+                }
+                // Don't make an edge that's already there.
+                let dKey = this.keyForTrio(this.previousPositionInFace(neighborPosition));
+                let cPosition = this.previousPositionInFace(position);
+                if (this.positionsAroundVertex(cPosition).positions.some((fanPosition) =>
+                    this.keyForTrio(this.nextPositionInFace(fanPosition)) == dKey ||
+                    this.keyForTrio(this.previousPositionInFace(fanPosition)) == dKey)) {
+                    return false;
+                }
+                this.rotateEdge(position);
+                return true;
+            };
+            let relaxAll = () => {
+                for (let pass = 0; pass < 100; pass++) {
+                    let flipped = false;
+                    for (let faceIndex of patch) {
+                        for (let position of this.positionsFromFace(faceIndex)) {
+                            flipped = relax(position) || flipped;
+                        }
+                    }
+                    if (!flipped) {
+                        break;
+                    }
+                }
+            };
+            relaxAll();
+            let split = true;
+            let splitCount = 0;
+            while (split && splitCount < MAX_SPLITS) {
+                split = false;
+                for (let faceIndex of Array.from(patch)) {
+                    if (splitCount >= MAX_SPLITS) {
+                        break;
+                    }
+                    let positions = this.positionsFromFace(faceIndex);
+                    let faceScales = positions.map((position) => scales.get(this.keyForTrio(position)));
+                    // A point whose edges have no length doesn't say
+                    // how big the faces should be.  Without any
+                    // points that do, the face is left as it is.
+                    let knownScales = faceScales.filter((s) => s > 0);
+                    if (knownScales.length == 0) {
+                        continue;
+                    }
+                    let scale = knownScales.reduce((sum, s) => sum + s, 0) / knownScales.length;
+                    middle.set(0, 0, 0);
+                    for (let position of positions) {
+                        middle.add(this.vector3FromPosition(position, vertex));
+                    }
+                    middle.divideScalar(3);
+                    if (!positions.every((position, i) => {
+                        let distance = DENSITY * middle.distanceTo(this.vector3FromPosition(position, vertex));
+                        return distance > scale && !(distance <= faceScales[i]);
+                    })) {
+                        continue;
+                    }
+                    let color;
+                    if (this.colors) {
+                        color = new THREE.Color();
+                        for (let faceColor of this.colorsFromPositions(positions)) {
+                            color.add(faceColor);
+                        }
+                        color.multiplyScalar(1/3);
+                    }
+                    let newFaces = this.splitFaceAtPoint(faceIndex, middle, color);
+                    let key = this.keyForTrio(this.positionFromFaceEdge(faceIndex, 2));
+                    scales.set(key, scale);
+                    newPoints.add(key);
+                    for (let splitFace of [faceIndex].concat(newFaces)) {
+                        patch.add(splitFace);
+                        relax(this.positionFromFace(splitFace));
+                    }
+                    split = true;
+                    splitCount++;
+                }
+                relaxAll();
+            }
+        }
+
+        if (options.fair && newPoints.size > 0) {
+            // Ids for the new points, the points next to them and the
+            // points next to those, with their coordinates and, for
+            // the new points, their positions.
+            let ids = new Map();
+            let coordinates = [];
+            let pointPositions = [];
+            let idFor = (position) => {
+                let key = this.keyForTrio(position);
+                if (!ids.has(key)) {
+                    ids.set(key, coordinates.length);
+                    coordinates.push(this.vector3FromPosition(position));
+                    pointPositions.push(position);
+                }
+                return ids.get(key);
+            };
+            // The ids of the points next to each point, as needed.
+            let adjacent = [];
+            let adjacentTo = (id) => {
+                if (adjacent[id] === undefined) {
+                    let fan = this.positionsAroundVertex(pointPositions[id]).positions;
+                    let others = new Set();
+                    for (let position of fan) {
+                        others.add(idFor(this.nextPositionInFace(position)));
+                        others.add(idFor(this.previousPositionInFace(position)));
+                    }
+                    adjacent[id] = Array.from(others);
+                }
+                return adjacent[id];
+            };
+            let moving = [];
+            for (let faceIndex of patch) {
+                for (let position of this.positionsFromFace(faceIndex)) {
+                    if (newPoints.has(this.keyForTrio(position))) {
+                        moving.push(idFor(position));
+                    }
+                }
+            }
+            moving = Array.from(new Set(moving));
+            let fans = moving.map((id) => this.positionsAroundVertex(pointPositions[id]).positions);
+            for (let id of moving) {
+                for (let other of adjacentTo(id)) {
+                    adjacentTo(other);
+                }
+            }
+            // Solve for a thin plate by moving each new point by its
+            // umbrella of umbrellas, as in "Discrete Fairing" by Leif
+            // Kobbelt.
+            let umbrella = (id, values) => {
+                let sum = new THREE.Vector3();
+                for (let other of adjacent[id]) {
+                    sum.add(values[other]);
+                }
+                return sum.divideScalar(adjacent[id].length).sub(values[id]);
+            };
+            let smallest = moving.reduce((least, id) => Math.min(least, scales.get(this.keyForTrio(pointPositions[id]))), Infinity);
+            for (let iteration = 0; iteration < MAX_FAIR_ITERATIONS; iteration++) {
+                let umbrellas = [];
+                for (let id of ids.values()) {
+                    if (adjacent[id] !== undefined) {
+                        umbrellas[id] = umbrella(id, coordinates);
+                    }
+                }
+                let largestMove = 0;
+                for (let id of moving) {
+                    let weight = 1 + adjacent[id].reduce((sum, other) => sum + 1 / adjacent[other].length, 0) / adjacent[id].length;
+                    let move = umbrella(id, umbrellas).divideScalar(-weight);
+                    coordinates[id].add(move);
+                    largestMove = Math.max(largestMove, move.length());
+                }
+                if (largestMove < smallest * 1e-6) {
+                    break;
+                }
+            }
+            for (let i = 0; i < moving.length; i++) {
+                for (let position of fans[i]) {
+                    this.setPositions([coordinates[moving[i]]], position);
+                }
+            }
+        }
+
+        if (joinsIslands) {
+            this.computeIslands();
+        }
+        this.trim();
+        return loops.length;
+    }
+
     // Fix holes without connecting between islands.
-    fixHolesByIsland() {
-        let seenIslands = new Set();
-        for (let island of this.reverseIslands) {
-            if (!seenIslands.has(island)) {
-                this.fixHoles(island);
+    // options.onProgress and options.signal are as in startProgress().
+    fixHolesByIsland(options = {}) {
+        let progress = this.startProgress(options);
+        let islands = Array.from(new Set(this.reverseIslands)).filter((island) => island != NONE);
+        for (let [i, island] of islands.entries()) {
+            this.fixHoles(island, {progress: progress.part(i / islands.length, (i + 1) / islands.length)});
+        }
+        progress.done();
+    }
+
+    // Make the faces of each island wound the same way and make each
+    // closed island face outward.
+    //
+    // findNeighbors only connects faces that go along their common
+    // edge in opposite directions so a flipped face is not connected
+    // to the faces around it.  Here, faces are also connected by an
+    // edge if they are the only faces on it without a neighbor.  The
+    // orientation spreads from face to face across the edges and the
+    // faces that disagree with most of their island are flipped.
+    // Then, if the island is closed and its signed volume is negative,
+    // all of it is flipped.  An island inside another closed island,
+    // like the wall of a hollow, should face inward instead.
+    // this.neighbors is rewritten in place to connect the flipped
+    // faces and the islands are computed again.  Returns the number
+    // of faces flipped.
+    fixWinding() {
+        const faceCount = this.positions.length / 9;
+        let isFace = (faceIndex) => this.reverseIslands[faceIndex] != NONE;
+        // Map from both points of an edge, in sorted order, to the
+        // positions of the faces that start that edge.
+        let edges = new Map();
+        let edgeKey = (position) => {
+            let [key1, key2] = [this.keyForTrio(position), this.keyForTrio(this.nextPositionInFace(position))];
+            return key1 < key2 ? key1 + '|' + key2 : key2 + '|' + key1;
+        };
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            if (!isFace(faceIndex)) {
+                continue;
+            }
+            for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                let position = this.positionFromFaceEdge(faceIndex, edgeIndex);
+                let key = edgeKey(position);
+                if (!edges.has(key)) {
+                    edges.set(key, []);
+                }
+                edges.get(key).push(position);
+            }
+        }
+        // The position across the edge at position, or null.  That's
+        // the neighbor or else the only other face on the edge without
+        // a neighbor.
+        let otherPosition = (position) => {
+            let neighborPosition = this.getNeighborPosition(position);
+            if (Number.isInteger(neighborPosition)) {
+                return neighborPosition;
+            }
+            let positions = edges.get(edgeKey(position)).filter(
+                (otherPosition) => otherPosition != position && this.neighbors[otherPosition/3] == NONE);
+            return positions.length == 1 ? positions[0] : null;
+        };
+
+        // orientations[faceIndex] is true if the face needs to be flipped.
+        let orientations = [];
+        let islands = [];
+        for (let startFace = 0; startFace < faceCount; startFace++) {
+            if (!isFace(startFace) || orientations[startFace] !== undefined) {
+                continue;
+            }
+            // Breadth-first traversal of the faces connected to startFace.
+            let island = {faces: [startFace], closed: true};
+            orientations[startFace] = false;
+            for (let i = 0; i < island.faces.length; i++) {
+                let faceIndex = island.faces[i];
+                for (let edgeIndex = 0; edgeIndex < 3; edgeIndex++) {
+                    let position = this.positionFromFaceEdge(faceIndex, edgeIndex);
+                    let neighborPosition = otherPosition(position);
+                    if (neighborPosition === null) {
+                        island.closed = false;
+                        continue;
+                    }
+                    let neighborFace = this.faceFromPosition(neighborPosition);
+                    // Neighbors going the same way along the edge
+                    // need opposite orientations.
+                    if (orientations[neighborFace] === undefined) {
+                        orientations[neighborFace] = orientations[faceIndex] != this.equalTrios(position, neighborPosition);
+                        island.faces.push(neighborFace);
+                    }
+                }
+            }
+            let flippedFaces = island.faces.filter((faceIndex) => orientations[faceIndex]).length;
+            island.reverse = flippedFaces * 2 > island.faces.length;
+            islands.push(island);
+        }
+
+        // A closed island should have a positive volume unless it's
+        // the inside wall of a hollow in another closed island.  The
+        // volume is from the tetrahedrons between the origin and each
+        // face, as it will be after the flips.
+        let closedIslands = islands.filter((island) => island.closed);
+        let volume = new THREE.Vector3();
+        for (let island of closedIslands) {
+            island.signedVolume = 0;
+            island.box = new THREE.Box3();
+            for (let faceIndex of island.faces) {
+                let [a, b, c] = this.vector3sFromPositions(this.positionsFromFace(faceIndex), this.faceNormalVector3s);
+                island.box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+                let faceVolume = a.dot(volume.crossVectors(b, c));
+                island.signedVolume += (orientations[faceIndex] != island.reverse) ? -faceVolume : faceVolume;
+            }
+        }
+        for (let island of closedIslands) {
+            // The island is inside another if a ray from it crosses
+            // the other an odd number of times.
+            let ray = new THREE.Ray(this.vector3sFromPositions(this.positionsFromFace(island.faces[0]))
+                                    .reduce((sum, point) => sum.add(point)).divideScalar(3),
+                                    new THREE.Vector3(0.5773, 0.5776, 0.5771).normalize());
+            let depth = 0;
+            for (let other of closedIslands) {
+                if (other == island || !other.box.containsBox(island.box) || other.box.equals(island.box)) {
+                    continue;
+                }
+                other.hierarchy = other.hierarchy || new BoundingVolumeHierarchy(this.positions, other.faces);
+                let crossings = 0;
+                other.hierarchy.raycast(ray, () => crossings++);
+                depth += crossings % 2;
+            }
+            if ((island.signedVolume < 0) == (depth % 2 == 0)) {
+                island.reverse = !island.reverse;
+            }
+        }
+        for (let island of islands) {
+            if (island.reverse) {
+                for (let faceIndex of island.faces) {
+                    orientations[faceIndex] = !orientations[faceIndex];
+                }
+            }
+        }
+
+        // Flipping a face swaps its last two points, which reverses
+        // the order of its edges.
+        let flippedPosition = (position) => {
+            if (!orientations[this.faceFromPosition(position)]) {
+                return position;
+            }
+            return this.positionFromFaceEdge(this.faceFromPosition(position), 2 - this.edgeFromPosition(position));
+        };
+        let newNeighbors = new Int32Array(this.neighbors.length).fill(NONE);
+        for (let position = 0; position < this.positions.length; position += 3) {
+            let neighborPosition = this.getNeighborPosition(position);
+            if (Number.isInteger(neighborPosition)) {
+                newNeighbors[flippedPosition(position)/3] = flippedPosition(neighborPosition)/3;
+            } else if (isFace(this.faceFromPosition(position))) {
+                // Connect faces that only go opposite ways along the
+                // edge after flipping.
+                neighborPosition = otherPosition(position);
+                if (Number.isInteger(neighborPosition) &&
+                    (orientations[this.faceFromPosition(position)] != orientations[this.faceFromPosition(neighborPosition)]) ==
+                    this.equalTrios(position, neighborPosition)) {
+                    newNeighbors[flippedPosition(position)/3] = flippedPosition(neighborPosition)/3;
+                }
+            }
+        }
+        let flipped = 0;
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            if (!orientations[faceIndex]) {
+                continue;
+            }
+            for (let array of [this.positions, this.colors]) {
+                if (!array) {
+                    continue;
+                }
+                let position = this.positionFromFace(faceIndex);
+                for (let i = 3; i < 6; i++) {
+                    [array[position+i], array[position+i+3]] = [array[position+i+3], array[position+i]];
+                }
+            }
+            flipped++;
+        }
+        this.neighbors.set(newNeighbors);
+        // Recompute the islands now that flipped faces are connected,
+        // keeping the faces that aren't part of any island out.
+        let oldReverseIslands = this.reverseIslands;
+        this.computeIslands();
+        for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
+            if (oldReverseIslands[faceIndex] == NONE) {
+                this.reverseIslands[faceIndex] = oldReverseIslands[faceIndex];
             }
-            seenIslands.add(island);
         }
+        return flipped;
     }
 
     // Reconnect faces with a normal of 0 due to a 180 degree angle so
@@ -1575,7 +3904,7 @@ class BufferGeometryMutator {
         const zeroVector = new THREE.Vector3(0,0,0);
         let triangle = new THREE.Triangle();
         for (let faceIndex of faces) {
-            if (!Number.isInteger(this.reverseIslands[faceIndex]) ||
+            if (this.reverseIslands[faceIndex] == NONE ||
                 this.isFaceDegenerate(faceIndex)) {
                 // Already going to be removed or is degenerate.
                 continue;
@@ -1616,39 +3945,45 @@ class BufferGeometryMutator {
         const faceCount = this.positions.length / 9;
 
         let degeneratesRemoved = 0;
-        let newPositions = [];
-        let newColors = []; // Only if this.colors is not undefined.
-        let newFaceIndex = [];  // Map from where a face was to where it is after deletions.
-        let newReverseIslands = [];
+        // Map from where a face was to where it is after deletions.
+        let newFaceIndex = new Int32Array(faceCount);
         for (let faceIndex = 0; faceIndex < faceCount; faceIndex++) {
-            if (!Number.isInteger(this.reverseIslands[faceIndex])) {
+            if (this.reverseIslands[faceIndex] == NONE) {
                 // Degenerate not part of any island.
                 degeneratesRemoved++;
+                newFaceIndex[faceIndex] = NONE;
                 continue;
             }
-            newPositions.push(...this.positions.slice(faceIndex*9, (faceIndex+1)*9));
-            if (this.colors) {
-                newColors.push(...this.colors.slice(faceIndex*9, (faceIndex+1)*9));
-            }
-            newReverseIslands.push(this.reverseIslands[faceIndex]);
             newFaceIndex[faceIndex] = faceIndex - degeneratesRemoved;
         }
-        let newNeighbors = [];
+        const newFaceCount = faceCount - degeneratesRemoved;
+        let newPositions = new Float64Array(newFaceCount * 9);
+        let newColors = this.colors && new Float32Array(newFaceCount * 9);
+        let newNeighbors = new Int32Array(newFaceCount * 3);
+        let newReverseIslands = new Int32Array(newFaceCount);
         for (let oldFaceIndex = 0; oldFaceIndex < faceCount; oldFaceIndex++) {
-            for (let oldEdgeIndex = 0; oldEdgeIndex < 3; oldEdgeIndex++) {
-                if (!Number.isInteger(newFaceIndex[oldFaceIndex])) {
-                    continue;
+            let newFace = newFaceIndex[oldFaceIndex];
+            if (newFace == NONE) {
+                continue;
+            }
+            let [oldStart, newStart] = [this.positionFromFace(oldFaceIndex), this.positionFromFace(newFace)];
+            for (let offset = 0; offset < 9; offset++) {
+                newPositions[newStart + offset] = this.positions[oldStart + offset];
+                if (this.colors) {
+                    newColors[newStart + offset] = this.colors[oldStart + offset];
                 }
+            }
+            newReverseIslands[newFace] = this.reverseIslands[oldFaceIndex];
+            for (let oldEdgeIndex = 0; oldEdgeIndex < 3; oldEdgeIndex++) {
                 let oldPosition = this.positionFromFaceEdge(oldFaceIndex, oldEdgeIndex);
                 let oldNeighborPosition = this.getNeighborPosition(oldPosition);
-                let newPosition = this.positionFromFaceEdge(newFaceIndex[oldFaceIndex],
-                                                            oldEdgeIndex);
+                let newPosition = this.positionFromFaceEdge(newFace, oldEdgeIndex);
                 let newNeighborPosition = (Number.isInteger(oldNeighborPosition) &&
-                                           Number.isInteger(newFaceIndex[this.faceFromPosition(oldNeighborPosition)])) ?
+                                           newFaceIndex[this.faceFromPosition(oldNeighborPosition)] != NONE) ?
                     this.positionFromFaceEdge(newFaceIndex[this.faceFromPosition(oldNeighborPosition)],
                                               this.edgeFromPosition(oldNeighborPosition))
                     : null;
-                newNeighbors[newPosition/3] = Number.isInteger(newNeighborPosition) ? newNeighborPosition/3 : newNeighborPosition;
+                newNeighbors[newPosition/3] = Number.isInteger(newNeighborPosition) ? newNeighborPosition/3 : NONE;
             }
         }
 
@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+
+// Packing of parts onto the bed of a printer, seen from above.
+//
+// Each part has a footprint: the polygons it covers on the bed.  The
+// bed and the footprints are drawn on a grid of square cells and a
+// part goes in the first place, in the order the bed is searched,
+// where its cells are free.
+
+const DEFAULT_OPTIONS = {
+    // The least distance between parts.
+    spacing: 2,
+    // 'hull' for the convex hull of the part seen from above, 'outline'
+    // for the faces of the part seen from above, which lets parts go
+    // into each other's gaps.
+    footprint: 'hull',
+    // Whether parts can be turned about z to fit.
+    rotate: false,
+    // How many ways, evenly spread around the circle, a part can be
+    // turned when rotate is true.
+    rotations: 4,
+    // The size of the cells of the grid.  By default the longer side of
+    // the bed is 200 cells.
+    resolution: null
+};
+
+function arrangeOptions(options) {
+    return Object.assign({}, DEFAULT_OPTIONS, options);
+}
+
+// The 2D convex hull of a list of THREE.Vector2, counterclockwise.
+// Uses Andrew's monotone chain:
+// https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain
+function convexHull(points) {
+    let sorted = points.slice(0).sort((a, b) => a.x - b.x || a.y - b.y);
+    let cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    let half = (list) => {
+        let chain = [];
+        for (let point of list) {
+            while (chain.length >= 2 && cross(chain[chain.length-2], chain[chain.length-1], point) <= 0) {
+                chain.pop();
+            }
+            chain.push(point);
+        }
+        chain.pop();
+        return chain;
+    };
+    if (sorted.length < 3) {
+        return sorted;
+    }
+    return half(sorted).concat(half(sorted.slice(0).reverse()));
+}
+
+// The footprint of the faces in positions, an array of numbers where
+// every 9 is a face, in world coordinates.  Returns {center, polygons}
+// where center is the THREE.Vector2 at the middle of the footprint and
+// polygons is a list of lists of THREE.Vector2 around center.
+function footprint(positions, options) {
+    let polygons = [];
+    if (options.footprint == 'outline') {
+        for (let i = 0; i < positions.length - 8; i += 9) {
+            let triangle = [0, 3, 6].map((v) => new THREE.Vector2(positions[i+v], positions[i+v+1]));
+            let area = (triangle[1].x - triangle[0].x) * (triangle[2].y - triangle[0].y) -
+                (triangle[1].y - triangle[0].y) * (triangle[2].x - triangle[0].x);
+            if (area != 0) {
+                polygons.push(triangle);
+            }
+        }
+    } else if (options.footprint == 'hull') {
+        let points = [];
+        for (let i = 0; i < positions.length - 2; i += 3) {
+            points.push(new THREE.Vector2(positions[i], positions[i+1]));
+        }
+        if (points.length > 0) {
+            polygons.push(convexHull(points));
+        }
+    } else {
+        throw new Error('Unknown footprint: ' + options.footprint);
+    }
+
+    let box = new THREE.Box2();
+    for (let polygon of polygons) {
+        for (let point of polygon) {
+            box.expandByPoint(point);
+        }
+    }
+    let center = polygons.length > 0 ? box.getCenter() : new THREE.Vector2();
+    for (let polygon of polygons) {
+        for (let point of polygon) {
+            point.sub(center);
+        }
+    }
+    return {center, polygons};
+}
+
+// The distance from point to the polygon, 0 inside.  All THREE.Vector2.
+function distanceToPolygon(point, polygon) {
+    let inside = false;
+    let least = Infinity;
+    let ab = new THREE.Vector2();
+    let ap = new THREE.Vector2();
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        let [a, b] = [polygon[j], polygon[i]];
+        if ((a.y > point.y) != (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+        ab.subVectors(b, a);
+        ap.subVectors(point, a);
+        let t = ab.lengthSq() == 0 ? 0 : THREE.Math.clamp(ap.dot(ab) / ab.lengthSq(), 0, 1);
+        least = Math.min(least, ap.sub(ab.multiplyScalar(t)).length());
+    }
+    return inside ? 0 : least;
+}
+
+// The cells that the footprint, turned by angle, covers.  Cell [0, 0]
+// is centered on the center of the footprint.  Returns {shape, padded}:
+// the cells that the part may touch and the cells that are closer than
+// half the spacing, each a list of [column, row].
+function footprintCells(footprint, angle, resolution, options) {
+    // A cell is covered when any of it might be.
+    let halfDiagonal = resolution * Math.SQRT1_2;
+    let padding = options.spacing / 2 + halfDiagonal;
+    let shape = new Map();
+    let padded = new Map();
+    let point = new THREE.Vector2();
+    let origin = new THREE.Vector2();
+    for (let polygon of footprint.polygons) {
+        let turned = polygon.map((vertex) => vertex.clone().rotateAround(origin, angle));
+        let box = new THREE.Box2().setFromPoints(turned);
+        let [minColumn, maxColumn] = [Math.floor((box.min.x - padding) / resolution), Math.ceil((box.max.x + padding) / resolution)];
+        let [minRow, maxRow] = [Math.floor((box.min.y - padding) / resolution), Math.ceil((box.max.y + padding) / resolution)];
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                let key = column + '_' + row;
+                if (shape.has(key)) {
+                    continue;
+                }
+                let distance = distanceToPolygon(point.set(column * resolution, row * resolution), turned);
+                if (distance <= halfDiagonal) {
+                    shape.set(key, [column, row]);
+                }
+                if (distance <= padding) {
+                    padded.set(key, [column, row]);
+                }
+            }
+        }
+    }
+    return {shape: Array.from(shape.values()), padded: Array.from(padded.values())};
+}
+
+// The grid over the bed.  bed is {width, depth, center} for a
+// rectangle or {radius, center} for a circle.  center is a
+// THREE.Vector2 and defaults to (width/2, depth/2) for a rectangle, so
+// that the bed goes from (0, 0) to (width, depth), and to (0, 0) for a
+// circle.
+function bedGrid(bed, options) {
+    let circle = bed.radius !== undefined;
+    let size = circle ? new THREE.Vector2(bed.radius * 2, bed.radius * 2) : new THREE.Vector2(bed.width, bed.depth);
+    let center = bed.center || (circle ? new THREE.Vector2() : size.clone().multiplyScalar(0.5));
+    let resolution = options.resolution || Math.max(size.x, size.y) / 200;
+    let columns = Math.floor(size.x / resolution);
+    let rows = Math.floor(size.y / resolution);
+    // The middle of cell [0, 0].
+    let origin = new THREE.Vector2(center.x - columns * resolution / 2 + resolution / 2,
+                                   center.y - rows * resolution / 2 + resolution / 2);
+    let grid = {resolution, columns, rows, origin, circle,
+                // Cells off the bed, or taken by a part or the space around it.
+                outside: new Uint8Array(columns * rows),
+                taken: new Uint8Array(columns * rows),
+                // The cells in the order to try them.
+                order: []};
+    let point = new THREE.Vector2();
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            point.set(column * resolution, row * resolution).add(origin);
+            // The whole cell has to be on a round bed.
+            if (circle && point.distanceTo(center) + resolution * Math.SQRT1_2 > bed.radius) {
+                grid.outside[row * columns + column] = 1;
+            } else {
+                grid.order.push(row * columns + column);
+            }
+        }
+    }
+    // Rectangular beds fill up from the corner at the smallest x and y
+    // and round beds from the middle out.
+    if (circle) {
+        let distance = (cell) => point.set(cell % columns * resolution, Math.floor(cell / columns) * resolution).add(origin).distanceToSquared(center);
+        grid.order.sort((a, b) => distance(a) - distance(b));
+    }
+    return grid;
+}
+
+// Can the cells go at cell of the grid?
+function fits(grid, cells, cell) {
+    let column = cell % grid.columns;
+    let row = Math.floor(cell / grid.columns);
+    for (let [c, r] of cells.shape) {
+        let [x, y] = [column + c, row + r];
+        if (x < 0 || y < 0 || x >= grid.columns || y >= grid.rows || grid.outside[y * grid.columns + x]) {
+            return false;
+        }
+    }
+    for (let [c, r] of cells.padded) {
+        let [x, y] = [column + c, row + r];
+        if (x >= 0 && y >= 0 && x < grid.columns && y < grid.rows && grid.taken[y * grid.columns + x]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Pack the footprints onto the bed, biggest first.  Returns a list
+// with, for each footprint, {angle, position} where the footprint's
+// center goes to position (a THREE.Vector2) after turning by angle, or
+// null if it doesn't fit.
+function packFootprints(footprints, bed, options) {
+    let grid = bedGrid(bed, options);
+    let angles = [0];
+    if (options.rotate) {
+        angles = Array.from(new Array(options.rotations).keys()).map((i) => i * Math.PI * 2 / options.rotations);
+    }
+    let area = (footprint) => footprint.polygons.reduce((sum, polygon) => sum + Math.abs(THREE.ShapeUtils.area(polygon)), 0);
+    let areas = footprints.map(area);
+    let order = Array.from(footprints.keys()).sort((a, b) => areas[b] - areas[a]);
+
+    let placements = new Array(footprints.length).fill(null);
+    for (let index of order) {
+        let best = null;
+        for (let angle of angles) {
+            let cells = footprintCells(footprints[index], angle, grid.resolution, options);
+            // Only an earlier place than the best so far is better.
+            let end = best === null ? grid.order.length : best.rank;
+            for (let rank = 0; rank < end; rank++) {
+                if (fits(grid, cells, grid.order[rank])) {
+                    best = {angle, cells, rank};
+                    break;
+                }
+            }
+        }
+        if (best === null) {
+            continue;
+        }
+        let cell = grid.order[best.rank];
+        let [column, row] = [cell % grid.columns, Math.floor(cell / grid.columns)];
+        for (let [c, r] of best.cells.padded) {
+            let [x, y] = [column + c, row + r];
+            if (x >= 0 && y >= 0 && x < grid.columns && y < grid.rows) {
+                grid.taken[y * grid.columns + x] = 1;
+            }
+        }
+        placements[index] = {
+            angle: best.angle,
+            position: new THREE.Vector2(column * grid.resolution, row * grid.resolution).add(grid.origin)
+        };
+    }
+    return placements;
+}
+
+export { DEFAULT_OPTIONS, arrangeOptions, convexHull, footprint, packFootprints };
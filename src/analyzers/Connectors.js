@@ -0,0 +1,297 @@
+import * as THREE from 'three';
+import { ConvexBufferGeometry } from '../geometries/ConvexGeometry';
+import { BoundingVolumeHierarchy } from './BoundingVolumeHierarchy';
+import { NONE } from './TypedArrays';
+
+// Connectors that are added to the faces left by a cut so that the
+// pieces fit back together in the right place.
+//
+// Connectors are made in their own coordinates, with the cut in the
+// x-z plane at the origin and the y axis pointing from the negative
+// side of the cut into the positive side.  makeBasis moves them into
+// place.
+
+const DEFAULT_OPTIONS = {
+    // 'pin' is a cylinder on the negative side that goes into a hole
+    // on the positive side.  'dowel' is a hole on both sides for a
+    // separate dowel.  'dovetail' is a key on the negative side that
+    // widens away from the cut, so the pieces can't be pulled apart,
+    // and a slot on the positive side that runs along the cut out to
+    // the edge of the piece, for sliding the key in.
+    type: 'pin',
+    // The radius of a pin or dowel, half the width of a dovetail where
+    // it meets the cut.  A dovetail is DOVETAIL_FLARE times as wide at
+    // its tip and as long along the slot as it is wide at the cut.
+    radius: 2,
+    // How far the connector goes past the cut.
+    length: 4,
+    // How much bigger a hole is than what goes in it.
+    clearance: 0.2,
+    // The least distance from a connector to the edge of the cut.
+    margin: 2,
+    // The most connectors on each piece of the cut.
+    count: 1,
+    // The number of sides of a cylinder.
+    radialSegments: 32
+};
+
+// The number of points along each side of the grid that is searched
+// for places to put connectors.
+const GRID_SIZE = 40;
+
+// Distances to the plane less than this are on the plane.
+const EPSILON = 1e-5;
+
+// How much wider a dovetail is at its tip than at the cut.
+const DOVETAIL_FLARE = 1.5;
+
+function connectorOptions(options) {
+    return Object.assign({}, DEFAULT_OPTIONS, options);
+}
+
+// A matrix that moves connector coordinates to the point on the plane.
+function makeBasis(plane, point) {
+    let normal = plane.normal.clone().normalize();
+    // Any direction in the plane.
+    let u = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    u.sub(normal.clone().multiplyScalar(u.dot(normal))).normalize();
+    let w = new THREE.Vector3().crossVectors(u, normal);
+    return new THREE.Matrix4().makeBasis(u, normal, w).setPosition(point);
+}
+
+// Half the width of the area of the cut that a connector covers,
+// including its clearance.
+function connectorSize(options) {
+    if (options.type == 'dovetail') {
+        return Math.hypot(options.radius * DOVETAIL_FLARE + options.clearance, options.radius + options.clearance);
+    }
+    return options.radius + options.clearance;
+}
+
+// A cylinder along the y axis from bottom to top.  It's made from
+// the points on the rims so that, unlike THREE.CylinderBufferGeometry,
+// the points where the sides meet are exactly the same.
+function cylinder(radius, bottom, top, options) {
+    let points = [];
+    for (let y of [bottom, top]) {
+        for (let i = 0; i < options.radialSegments; i++) {
+            let angle = i / options.radialSegments * Math.PI * 2;
+            points.push(new THREE.Vector3(radius * Math.sin(angle), y, radius * Math.cos(angle)));
+        }
+    }
+    return new ConvexBufferGeometry(points);
+}
+
+// A dovetail from bottom to top, grown by clearance on every side.
+// Its cross section in the x-y plane is as wide as the radius on each
+// side at the cut and widens steadily to DOVETAIL_FLARE times that at
+// the length, so it's narrower below the cut.  It goes along the z
+// axis from back to front.
+function dovetail(bottom, top, back, front, clearance, options) {
+    let halfWidth = (y) => options.radius * (1 + (DOVETAIL_FLARE - 1) * y / options.length) + clearance;
+    let points = [];
+    for (let y of [bottom, top]) {
+        for (let [x, z] of [[-1, back], [1, back], [1, front], [-1, front]]) {
+            points.push(new THREE.Vector3(x * halfWidth(y), y, z));
+        }
+    }
+    return new ConvexBufferGeometry(points);
+}
+
+// The shapes to add to and cut from each side of the cut, in
+// connector coordinates.  room is {negative, positive, across}: how
+// far each side goes from the connector along the y axis, see
+// thickness(), and the size of the positive side, which a dovetail
+// slot must run past.  Returns {negative: {add, subtract}, positive:
+// {add, subtract}} where each is a BufferGeometry or null, or null if
+// a hole would go through a side.
+function connectorGeometries(options, room) {
+    // Connectors go into the side they're attached to by their
+    // radius, or half the thickness of a thin side, to be well joined.
+    // Holes start outside the side they're cut from.
+    let inside = Math.min(options.radius, room.negative / 2);
+    let outside = options.length;
+    let depth = options.length + options.clearance;
+    // A dovetail is as long along its slot as it is wide at the cut.
+    let back = options.radius;
+    switch (options.type) {
+    case 'pin':
+        if (depth >= room.positive) {
+            return null;
+        }
+        return {negative: {add: cylinder(options.radius, -inside, options.length, options), subtract: null},
+                positive: {add: null, subtract: cylinder(options.radius + options.clearance, -outside, depth, options)}};
+    case 'dowel':
+        if (depth >= room.negative || depth >= room.positive) {
+            return null;
+        }
+        return {negative: {add: null, subtract: cylinder(options.radius + options.clearance, -depth, outside, options)},
+                positive: {add: null, subtract: cylinder(options.radius + options.clearance, -outside, depth, options)}};
+    case 'dovetail':
+        if (depth >= room.positive) {
+            return null;
+        }
+        return {negative: {add: dovetail(-inside, options.length, -back, back, 0, options), subtract: null},
+                positive: {add: null, subtract: dovetail(-outside, depth, -back - options.clearance, room.across, options.clearance, options)}};
+    default:
+        throw new Error('Unknown connector type: ' + options.type);
+    }
+}
+
+// How far the piece whose faces are in hierarchy, a
+// BoundingVolumeHierarchy, goes from a connector at the point on the
+// plane in direction, which is the normal of the plane or its
+// opposite.  It's the least distance to the other side of the piece
+// from the point and from points around it on the edge of the area
+// that the connector covers.
+function thickness(hierarchy, plane, point, direction, options) {
+    let basis = makeBasis(plane, point);
+    let size = connectorSize(options);
+    let starts = [point.clone()];
+    for (let i = 0; i < 8; i++) {
+        let angle = i / 8 * Math.PI * 2;
+        starts.push(new THREE.Vector3(size * Math.sin(angle), 0, size * Math.cos(angle)).applyMatrix4(basis));
+    }
+    let least = Infinity;
+    for (let start of starts) {
+        let hit = hierarchy.nearestHit(new THREE.Ray(start, direction), EPSILON);
+        least = Math.min(least, hit ? hit[1] : 0);
+    }
+    return least;
+}
+
+// The room for a connector at each of the points, see
+// connectorGeometries().  sides are the negative and positive sides of
+// the cut.
+function connectorRooms(sides, plane, points, options) {
+    let [negative, positive] = sides.map((side) => new BoundingVolumeHierarchy(side.positions));
+    let normal = plane.normal.clone().normalize();
+    let across = positive.boundingBox().getSize().length();
+    return points.map((point) => ({negative: thickness(negative, plane, point, normal.clone().negate(), options),
+                                   positive: thickness(positive, plane, point, normal, options),
+                                   across: across}));
+}
+
+// The distance from point to the segment from a to b, all THREE.Vector2.
+function distanceToSegment(point, a, b) {
+    let ab = new THREE.Vector2().subVectors(b, a);
+    let t = ab.lengthSq() == 0 ? 0 : THREE.Math.clamp(new THREE.Vector2().subVectors(point, a).dot(ab) / ab.lengthSq(), 0, 1);
+    return point.distanceTo(ab.multiplyScalar(t).add(a));
+}
+
+// Is the point in the triangle of THREE.Vector2, with either winding?
+function pointInTriangle(point, [a, b, c]) {
+    let side = (p, q) => (q.x - p.x) * (point.y - p.y) - (q.y - p.y) * (point.x - p.x);
+    let [s1, s2, s3] = [side(a, b), side(b, c), side(c, a)];
+    return (s1 >= 0 && s2 >= 0 && s3 >= 0) || (s1 <= 0 && s2 <= 0 && s3 <= 0);
+}
+
+// Points on the plane where connectors fit in the faces that the cut
+// left on the negative side.  mutator is the negative side.  Up to
+// options.count points are found for each island, as far from the
+// edges of the cut and from each other as possible.  Returns a list of
+// THREE.Vector3.
+function connectorPoints(mutator, plane, options) {
+    let size = connectorSize(options);
+    let basis = makeBasis(plane, plane.coplanarPoint());
+    let inverse = new THREE.Matrix4().getInverse(basis);
+    let to2D = (position) => {
+        let point = mutator.vector3FromPosition(position).applyMatrix4(inverse);
+        return new THREE.Vector2(point.x, point.z);
+    };
+    let normal = plane.normal.clone().normalize();
+    let faceNormal = new THREE.Vector3();
+
+    // The faces of the cut, which face toward the positive side, by
+    // island.
+    let regions = new Map();
+    for (let faceIndex = 0; faceIndex < mutator.positions.length/9; faceIndex++) {
+        let island = mutator.reverseIslands[faceIndex];
+        if (island == NONE) {
+            continue;
+        }
+        let positions = mutator.positionsFromFace(faceIndex);
+        if (positions.some((position) => Math.abs(plane.distanceToPoint(mutator.vector3FromPosition(position))) > EPSILON) ||
+            mutator.faceNormal(faceIndex, faceNormal).dot(normal) < 1 - EPSILON) {
+            continue;
+        }
+        if (!regions.has(island)) {
+            regions.set(island, []);
+        }
+        regions.get(island).push(positions);
+    }
+
+    let points = [];
+    for (let faces of regions.values()) {
+        // The edge of the cut is made of the edges that only one face
+        // of the cut has.
+        let edges = new Set();
+        let edgeKey = (start, end) => mutator.keyForTrio(start) + '|' + mutator.keyForTrio(end);
+        for (let positions of faces) {
+            for (let i = 0; i < 3; i++) {
+                edges.add(edgeKey(positions[i], positions[(i+1) % 3]));
+            }
+        }
+        let boundary = [];
+        let triangles = [];
+        let box = new THREE.Box2();
+        for (let positions of faces) {
+            let triangle = positions.map(to2D);
+            triangles.push(triangle);
+            for (let i = 0; i < 3; i++) {
+                box.expandByPoint(triangle[i]);
+                if (!edges.has(edgeKey(positions[(i+1) % 3], positions[i]))) {
+                    boundary.push([triangle[i], triangle[(i+1) % 3]]);
+                }
+            }
+        }
+        // Try points in a grid over the cut.
+        let candidates = [];
+        let boxSize = box.getSize();
+        for (let i = 0; i <= GRID_SIZE; i++) {
+            for (let j = 0; j <= GRID_SIZE; j++) {
+                let point = new THREE.Vector2(box.min.x + boxSize.x * i / GRID_SIZE,
+                                              box.min.y + boxSize.y * j / GRID_SIZE);
+                if (!triangles.some((triangle) => pointInTriangle(point, triangle))) {
+                    continue;
+                }
+                let distance = boundary.reduce((least, [a, b]) => Math.min(least, distanceToSegment(point, a, b)), Infinity);
+                if (distance >= size + options.margin) {
+                    candidates.push({point, distance});
+                }
+            }
+        }
+        // Take the point furthest from the edges first, then the ones
+        // furthest from the edges and the points already taken.
+        let chosen = [];
+        while (chosen.length < options.count) {
+            let best = null;
+            let bestScore = -Infinity;
+            for (let candidate of candidates) {
+                let score = candidate.distance;
+                for (let point of chosen) {
+                    let distance = candidate.point.distanceTo(point);
+                    if (distance < size * 2 + options.margin) {
+                        score = -Infinity;
+                        break;
+                    }
+                    score = Math.min(score, distance / 2);
+                }
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            }
+            if (best === null) {
+                break;
+            }
+            chosen.push(best.point);
+        }
+        for (let point of chosen) {
+            points.push(new THREE.Vector3(point.x, 0, point.y).applyMatrix4(basis));
+        }
+    }
+    return points;
+}
+
+export { DEFAULT_OPTIONS, connectorOptions, makeBasis, cylinder, connectorGeometries, connectorPoints, connectorRooms };
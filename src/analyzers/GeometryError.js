@@ -0,0 +1,27 @@
+// The error thrown when a geometry can't be read, or can't be used
+// like a boolean operation on a shape that isn't closed.  problems is a list
+// of {reason, faces, edge} that says what is wrong and where, so that
+// the faces can be shown to the user:
+//
+// - reason is 'nanCoordinates' for a face with a coordinate that
+//   isn't a number, 'nonManifoldEdge' for an edge with an even number
+//   of faces that's more than two, 'oddEdgeCount' for an edge with
+//   an odd number of faces, which is a hole when it's one, and
+//   'inconsistentWinding' for an edge whose two faces go along it the
+//   same way, so one of them is flipped.
+// - faces is a list of the faces (0 to faceCount-1) with the problem.
+// - edge is {start, end} of THREE.Vector3 for the edge problems and
+//   null otherwise.
+//
+// It's a function and not a class that extends Error because Babel
+// can't extend built-in classes.
+function GeometryError(message, problems) {
+    this.name = 'GeometryError';
+    this.message = message;
+    this.problems = problems;
+    this.stack = new Error(message).stack;
+}
+GeometryError.prototype = Object.create(Error.prototype);
+GeometryError.prototype.constructor = GeometryError;
+
+export { GeometryError };
@@ -0,0 +1,338 @@
+import * as THREE from 'three';
+
+// Helpers for boolean operations on meshes, see
+// BufferGeometryMutator.booleanOperation().
+//
+// The faces of each shape are split where they cross the other shape,
+// the way splitFaces() splits them along a plane, so that each face is
+// inside, outside or on the surface of the other shape.  The faces are
+// classified here and kept or discarded according to the operation and
+// then the faces that are kept are stitched together.
+
+// The tolerances are fractions of the size of the shapes, the length
+// of the diagonal of their bounding box, so that a model in
+// micrometers is treated like the same model in millimeters.  See
+// scaledTolerances().
+//
+// Points closer than this to a plane are considered on the plane.
+const EPSILON = 1e-6;
+// Points closer than this to each other are welded together and
+// points closer than this to an edge split it.
+const WELD_TOLERANCE = 1e-5;
+// Breaks in the loops of edges around a hole that are shorter than
+// this are closed before the hole is filled.
+const GAP_TOLERANCE = 1e-3;
+// Faces whose unit normals have a dot product closer than this to 1
+// or -1 are parallel.  This one doesn't depend on the size.
+const NORMAL_EPSILON = 1e-5;
+
+// Classifications of a face relative to the other shape.
+const INSIDE = 0;
+const OUTSIDE = 1;
+const SAME = 2; // On the surface, facing the same way.
+const OPPOSITE = 3; // On the surface, facing the other way.
+
+// Which classifications of the faces of the first shape (a) and the
+// second shape (b) to keep for each operation and whether to turn over
+// the faces kept from b.  Where the surfaces overlap, only the faces
+// from a are kept.
+const OPERATIONS = {
+    union: {keepA: [OUTSIDE, SAME], keepB: [OUTSIDE], flipB: false},
+    difference: {keepA: [OUTSIDE, OPPOSITE], keepB: [INSIDE], flipB: true},
+    intersection: {keepA: [INSIDE, SAME], keepB: [INSIDE], flipB: false}
+};
+
+// Directions of rays for testing if a point is inside a shape.  They
+// are a little off the axes so that they are unlikely to hit along an
+// edge of the faces of a shape made of boxes.
+const RAY_DIRECTIONS = [new THREE.Vector3(0.5773, 0.5776, 0.5771).normalize(),
+                        new THREE.Vector3(-0.6302, 0.4611, -0.6247).normalize(),
+                        new THREE.Vector3(0.3817, -0.7933, -0.4745).normalize()];
+
+// The rules in OPERATIONS for an operation, which is 'union',
+// 'difference' (a minus b) or 'intersection'.
+function operationRules(operation) {
+    if (!OPERATIONS.hasOwnProperty(operation)) {
+        throw new Error('Unknown boolean operation: ' + operation);
+    }
+    return OPERATIONS[operation];
+}
+
+// The tolerances for shapes inside box, a THREE.Box3, as
+// {epsilon, weld, gap}.  An empty or flat box has no size, so the
+// fractions are used as they are.
+function scaledTolerances(box) {
+    let size = box.isEmpty() ? 0 : box.getSize(new THREE.Vector3()).length();
+    if (!(size > 0)) {
+        size = 1;
+    }
+    return {epsilon: EPSILON * size, weld: WELD_TOLERANCE * size, gap: GAP_TOLERANCE * size};
+}
+
+// A grid of cubes as big as tolerance for finding the values added at
+// points near a point.  A point within tolerance of another is in the
+// same cube or one of the 26 around it.
+class PointGrid {
+    constructor(tolerance) {
+        this.tolerance = tolerance;
+        // Map from cube to the values in it.
+        this.cells = new Map();
+    }
+
+    key(x, y, z) {
+        return x + '_' + y + '_' + z;
+    }
+
+    add(point, value) {
+        let key = this.key(Math.floor(point.x / this.tolerance),
+                           Math.floor(point.y / this.tolerance),
+                           Math.floor(point.z / this.tolerance));
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(value);
+    }
+
+    // Returns the values added in the cubes around the point.  They
+    // might be a little further than tolerance away.
+    near(point) {
+        let [cellX, cellY, cellZ] = [Math.floor(point.x / this.tolerance),
+                                     Math.floor(point.y / this.tolerance),
+                                     Math.floor(point.z / this.tolerance)];
+        let values = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (let value of this.cells.get(this.key(cellX+dx, cellY+dy, cellZ+dz)) || []) {
+                        values.push(value);
+                    }
+                }
+            }
+        }
+        return values;
+    }
+}
+
+// Move all points that are within tolerance of each other to the
+// same position.  The first point found in a cluster is the one
+// that the others move to.  Returns the number of points moved.
+function weldPositions(positions, tolerance) {
+    let grid = new PointGrid(tolerance);
+    let point = new THREE.Vector3();
+    let other = new THREE.Vector3();
+    let welded = 0;
+    for (let position = 0; position < positions.length; position += 3) {
+        point.fromArray(positions, position);
+        let match = grid.near(point).find((otherPosition) =>
+            other.fromArray(positions, otherPosition).distanceToSquared(point) <= tolerance * tolerance);
+        if (match === undefined) {
+            grid.add(point, position);
+        } else if (!other.equals(point)) {
+            positions[position] = positions[match];
+            positions[position+1] = positions[match+1];
+            positions[position+2] = positions[match+2];
+            welded++;
+        }
+    }
+    return welded;
+}
+
+// Returns true if the point, which is in the plane of the triangle
+// with the normal, is inside the triangle or on its edges, within
+// epsilon.
+function pointInTriangle(point, triangle, normal, epsilon) {
+    let edge = new THREE.Vector3();
+    let toPoint = new THREE.Vector3();
+    let cross = new THREE.Vector3();
+    for (let [start, end] of [[triangle.a, triangle.b], [triangle.b, triangle.c], [triangle.c, triangle.a]]) {
+        edge.subVectors(end, start);
+        toPoint.subVectors(point, start);
+        cross.crossVectors(edge, toPoint);
+        if (cross.dot(normal) < -epsilon * edge.length()) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Returns true if the direction, a unit vector from the point where
+// the unit vectors first and second start, is strictly between them
+// going around normal from first to second.
+function betweenDirections(direction, first, second, normal) {
+    let cross = new THREE.Vector3();
+    return cross.crossVectors(first, direction).dot(normal) > NORMAL_EPSILON &&
+        cross.crossVectors(direction, second).dot(normal) > NORMAL_EPSILON;
+}
+
+// Returns true if the THREE.Triangles cross or touch other than at the
+// points they share, see BufferGeometryMutator.selfIntersections().
+// Points closer than epsilon to a plane are on it.
+//
+// Triangles that share an edge only meet along it unless they are in
+// the same plane and folded onto each other.  Triangles that share a
+// point meet along the line where their planes cross, if it goes out
+// of that point into both of them, or where their corners at the
+// point overlap if they are in the same plane.  Otherwise, they meet
+// if an edge of one goes through the other or, in the same plane, if
+// their edges cross or a point of one is in the other.
+function trianglesMeet(triangle, other, epsilon) {
+    let points = [triangle.a, triangle.b, triangle.c];
+    let otherPoints = [other.a, other.b, other.c];
+    let [normal, otherNormal] = [triangle.normal(), other.normal()];
+    if (normal.lengthSq() == 0 || otherNormal.lengthSq() == 0) {
+        return false;
+    }
+    let line = new THREE.Vector3().crossVectors(normal, otherNormal);
+    let plane = triangle.plane();
+    if (line.length() < NORMAL_EPSILON &&
+        otherPoints.some((point) => Math.abs(plane.distanceToPoint(point)) >= epsilon)) {
+        return false; // In parallel planes.
+    }
+    let coplanar = line.length() < NORMAL_EPSILON;
+    // The indices of the points that are in both, in each triangle.
+    let shared = [];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            if (points[i].equals(otherPoints[j])) {
+                shared.push([i, j]);
+            }
+        }
+    }
+    let edge = new THREE.Vector3();
+    let toPoint = new THREE.Vector3();
+    // Which side of the line from start to end the point is on,
+    // looking down normal.
+    let side = (start, end, point) =>
+        toPoint.subVectors(point, start).cross(edge.subVectors(end, start)).dot(normal);
+    if (shared.length == 3) {
+        return true;
+    }
+    if (shared.length == 2) {
+        if (!coplanar) {
+            return false;
+        }
+        let [start, end] = [points[shared[0][0]], points[shared[1][0]]];
+        let third = points[3 - shared[0][0] - shared[1][0]];
+        let otherThird = otherPoints[3 - shared[0][1] - shared[1][1]];
+        return side(start, end, third) * side(start, end, otherThird) > 0;
+    }
+    if (shared.length == 1) {
+        // The unit vectors along the edges out of the shared point,
+        // in the order that goes around the triangle's normal.
+        let corner = (trianglePoints, index) => [1, 2].map((offset) =>
+            new THREE.Vector3().subVectors(trianglePoints[(index + offset) % 3], trianglePoints[index]).normalize());
+        let [first, second] = corner(points, shared[0][0]);
+        let [otherFirst, otherSecond] = corner(otherPoints, shared[0][1]);
+        if (!coplanar) {
+            line.normalize();
+            return [line, line.clone().negate()].some((direction) =>
+                betweenDirections(direction, first, second, normal) &&
+                betweenDirections(direction, otherFirst, otherSecond, otherNormal));
+        }
+        if (otherNormal.dot(normal) < 0) {
+            [otherFirst, otherSecond] = [otherSecond, otherFirst];
+        }
+        let middle = first.clone().add(second).normalize();
+        let otherMiddle = otherFirst.clone().add(otherSecond).normalize();
+        return [otherFirst, otherSecond, otherMiddle].some((direction) => betweenDirections(direction, first, second, normal)) ||
+            [first, second, middle].some((direction) => betweenDirections(direction, otherFirst, otherSecond, normal));
+    }
+    let edges = (trianglePoints) => [0, 1, 2].map((i) => [trianglePoints[i], trianglePoints[(i + 1) % 3]]);
+    if (!coplanar) {
+        // Does the segment from start to end go through the triangle?
+        let ray = new THREE.Ray();
+        let hit = new THREE.Vector3();
+        let crosses = (start, end, target) => {
+            ray.origin.copy(start);
+            ray.direction.subVectors(end, start).normalize();
+            return ray.intersectTriangle(target.a, target.b, target.c, false, hit) !== null &&
+                hit.distanceTo(start) <= end.distanceTo(start);
+        };
+        return edges(points).some(([start, end]) => crosses(start, end, other)) ||
+            edges(otherPoints).some(([start, end]) => crosses(start, end, triangle));
+    }
+    return points.some((point) => pointInTriangle(point, other, otherNormal, epsilon)) ||
+        otherPoints.some((point) => pointInTriangle(point, triangle, normal, epsilon)) ||
+        edges(points).some(([start, end]) => edges(otherPoints).some(([otherStart, otherEnd]) =>
+            side(start, end, otherStart) * side(start, end, otherEnd) < 0 &&
+            side(otherStart, otherEnd, start) * side(otherStart, otherEnd, end) < 0));
+}
+
+// The face of the hierarchy as a THREE.Triangle.
+function triangleOfFace(hierarchy, faceIndex, target) {
+    target = target || new THREE.Triangle();
+    target.a.fromArray(hierarchy.positions, faceIndex*9);
+    target.b.fromArray(hierarchy.positions, faceIndex*9 + 3);
+    target.c.fromArray(hierarchy.positions, faceIndex*9 + 6);
+    return target;
+}
+
+// Is the point, on a face with the normal, inside, outside or on the
+// surface of the closed shape whose faces are in hierarchy, a
+// BoundingVolumeHierarchy?  Points on the surface are found by looking
+// for a face in the same plane.  Otherwise, rays are cast from the
+// point and it's inside if they cross the surface an odd number of
+// times.  Several rays vote in case one of them hits exactly on an
+// edge.  Points closer than epsilon to a face are on it, see
+// scaledTolerances().
+function classifyPoint(point, normal, hierarchy, epsilon) {
+    let box = new THREE.Box3(point.clone(), point.clone()).expandByScalar(epsilon);
+    let triangle = new THREE.Triangle();
+    let plane = new THREE.Plane();
+    for (let faceIndex of hierarchy.facesInBox(box)) {
+        triangleOfFace(hierarchy, faceIndex, triangle).plane(plane);
+        if (Math.abs(plane.distanceToPoint(point)) < epsilon &&
+            Math.abs(Math.abs(plane.normal.dot(normal)) - 1) < NORMAL_EPSILON &&
+            pointInTriangle(point, triangle, plane.normal, epsilon)) {
+            return plane.normal.dot(normal) > 0 ? SAME : OPPOSITE;
+        }
+    }
+    if (!hierarchy.boundingBox().containsPoint(point)) {
+        return OUTSIDE;
+    }
+    let insideVotes = 0;
+    let ray = new THREE.Ray(point);
+    for (let direction of RAY_DIRECTIONS) {
+        ray.direction.copy(direction);
+        let crossings = 0;
+        hierarchy.raycast(ray, (faceIndex, distance) => {
+            if (distance > epsilon) {
+                crossings++;
+            }
+        });
+        insideVotes += crossings % 2;
+    }
+    return insideVotes * 2 > RAY_DIRECTIONS.length ? INSIDE : OUTSIDE;
+}
+
+// The winding number of the surface made by the faces in hierarchy, a
+// BoundingVolumeHierarchy, around the point: how many times the
+// surface goes around it, counting surfaces that face inward as
+// negative.  It's 1 inside a closed shape whose faces face outward and
+// 0 outside.  Rays are cast in several directions and the most common
+// answer wins in case a ray hits exactly on an edge.
+function windingNumber(point, hierarchy) {
+    let votes = new Map();
+    let ray = new THREE.Ray(point);
+    let triangle = new THREE.Triangle();
+    let normal = new THREE.Vector3();
+    for (let direction of RAY_DIRECTIONS) {
+        ray.direction.copy(direction);
+        let winding = 0;
+        hierarchy.raycast(ray, (faceIndex, distance) => {
+            if (distance > 0) {
+                winding += Math.sign(triangleOfFace(hierarchy, faceIndex, triangle).normal(normal).dot(direction));
+            }
+        });
+        votes.set(winding, (votes.get(winding) || 0) + 1);
+    }
+    let best = null;
+    for (let [winding, count] of votes) {
+        if (best === null || count > votes.get(best)) {
+            best = winding;
+        }
+    }
+    return best;
+}
+
+export { PointGrid, scaledTolerances, operationRules, weldPositions, classifyPoint, trianglesMeet, windingNumber };
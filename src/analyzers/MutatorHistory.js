@@ -0,0 +1,311 @@
+// The arrays of a BufferGeometryMutator that operations change and the
+// number of elements that each has for a face.
+const ARRAYS = {positions: 9, colors: 9, neighbors: 3, reverseIslands: 1};
+
+// The average number of faces in a chunk when comparing arrays, see
+// diff().  It must be a power of 2.
+const CHUNK_FACES = 32;
+
+// An undo and redo history of the operations done on a
+// BufferGeometryMutator.
+//
+// Instead of a copy of the mutator, each step keeps only the parts of
+// each array that the operation changed, see diff().  The arrays are
+// compared in chunks that are cut where the faces are, not at fixed
+// places, so faces that an operation moves, like deleteDegenerates()
+// does when it takes out faces, are found in their new place and not
+// kept again.  The oldest steps are dropped when they take more than
+// options.maxBytes, 64MB by default, but the last step is always kept.
+//
+// Checkpoints are names for the state after a step, see checkpoint()
+// and restore().
+class MutatorHistory {
+    constructor(mutator, options = {}) {
+        this.mutator = mutator;
+        this.maxBytes = options.maxBytes === undefined ? 64 * 1024 * 1024 : options.maxBytes;
+        // The steps that can be undone, oldest first, and the steps
+        // that can be redone, the next one last.  Each step is {id,
+        // name, changes, bytes}.
+        this.undoSteps = [];
+        this.redoSteps = [];
+        // The id of the state before the oldest step that can be
+        // undone.  The state after a step has the step's id.
+        this.baseId = 0;
+        this.nextId = 1;
+        // Map from the name of each checkpoint to the id of its state.
+        this.checkpoints = new Map();
+        this.bytes = 0;
+    }
+
+    // The id of the current state.
+    currentId() {
+        return this.undoSteps.length > 0 ? this.undoSteps[this.undoSteps.length-1].id : this.baseId;
+    }
+
+    // Run operation(mutator) and remember what it changed as a step
+    // called name.  Returns what operation returns.  Anything that
+    // could be redone is forgotten.  If operation throws, the mutator
+    // is put back the way it was and the error is thrown again.
+    apply(name, operation) {
+        let before = {};
+        for (let key of Object.keys(ARRAYS)) {
+            before[key] = this.mutator[key] ? this.mutator[key].slice(0) : this.mutator[key];
+        }
+        let result;
+        try {
+            result = operation(this.mutator);
+        } catch (error) {
+            for (let key of Object.keys(ARRAYS)) {
+                this.mutator[key] = before[key];
+            }
+            throw error;
+        }
+        let changes = {};
+        let bytes = 0;
+        for (let key of Object.keys(ARRAYS)) {
+            let change = diff(before[key], this.mutator[key], ARRAYS[key]);
+            if (change) {
+                changes[key] = change;
+                bytes += change.bytes;
+            }
+        }
+        this.forgetRedo();
+        this.undoSteps.push({id: this.nextId++, name, changes, bytes});
+        this.bytes += bytes;
+        while (this.bytes > this.maxBytes && this.undoSteps.length > 1) {
+            let oldest = this.undoSteps.shift();
+            this.bytes -= oldest.bytes;
+            this.baseId = oldest.id;
+        }
+        this.forgetCheckpoints();
+        return result;
+    }
+
+    canUndo() {
+        return this.undoSteps.length > 0;
+    }
+
+    canRedo() {
+        return this.redoSteps.length > 0;
+    }
+
+    // Undo the last step.  Returns its name or null if there's nothing
+    // to undo.
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+        let step = this.undoSteps.pop();
+        for (let key of Object.keys(step.changes)) {
+            this.mutator[key] = patch(this.mutator[key], step.changes[key], 'before');
+        }
+        this.redoSteps.push(step);
+        return step.name;
+    }
+
+    // Redo the last step undone.  Returns its name or null if there's
+    // nothing to redo.
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+        let step = this.redoSteps.pop();
+        for (let key of Object.keys(step.changes)) {
+            this.mutator[key] = patch(this.mutator[key], step.changes[key], 'after');
+        }
+        this.undoSteps.push(step);
+        return step.name;
+    }
+
+    // Name the current state so that restore() can come back to it.
+    // A checkpoint with the same name is replaced.
+    checkpoint(name) {
+        this.checkpoints.set(name, this.currentId());
+    }
+
+    // Undo or redo until the mutator is in the state of the
+    // checkpoint.  Throws if the checkpoint is unknown or its state has
+    // been forgotten.
+    restore(name) {
+        let id = this.checkpoints.get(name);
+        if (id === undefined) {
+            throw new Error('Unknown checkpoint: ' + name);
+        }
+        while (this.currentId() != id) {
+            if (this.redoSteps.some((step) => step.id == id)) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+    }
+
+    forgetRedo() {
+        for (let step of this.redoSteps) {
+            this.bytes -= step.bytes;
+        }
+        this.redoSteps = [];
+    }
+
+    // Forget the checkpoints whose states can't be reached anymore.
+    forgetCheckpoints() {
+        let ids = new Set([this.baseId].concat(this.undoSteps.map((step) => step.id),
+                                               this.redoSteps.map((step) => step.id)));
+        for (let [name, id] of Array.from(this.checkpoints)) {
+            if (!ids.has(id)) {
+                this.checkpoints.delete(name);
+            }
+        }
+    }
+}
+
+// The 32 bit words of the elements of a typed array from start to end.
+function words(array, start = 0, end = array.length) {
+    let size = array.BYTES_PER_ELEMENT / 4;
+    return new Int32Array(array.buffer, array.byteOffset + start * array.BYTES_PER_ELEMENT, (end - start) * size);
+}
+
+// Cut the array into chunks of whole faces, with stride elements for
+// each face.  A chunk ends after a face whose hash has its low bits 0,
+// so the same faces make the same chunks wherever they are in the
+// array.  Returns a list of {start, end, key}, where key is made from
+// the hash of the chunk and its length.
+function chunks(array, stride) {
+    let list = [];
+    let data = words(array);
+    let faceWords = data.length / (array.length / stride);
+    let start = 0;
+    let chunkHash = 0;
+    for (let face = 0; face < array.length / stride; face++) {
+        // FNV-1a of the face, and of the chunk so far.
+        let faceHash = 2166136261;
+        for (let i = face * faceWords; i < (face + 1) * faceWords; i++) {
+            faceHash = Math.imul(faceHash ^ data[i], 16777619);
+        }
+        chunkHash = Math.imul(chunkHash ^ faceHash, 16777619);
+        let end = (face + 1) * stride;
+        if ((faceHash & (CHUNK_FACES - 1)) == 0 || end == array.length) {
+            list.push({start, end, key: chunkHash + '_' + (end - start)});
+            start = end;
+            chunkHash = 0;
+        }
+    }
+    return list;
+}
+
+// Are the elements of a from aStart to aEnd the same as those of b
+// from bStart?
+function same(a, aStart, aEnd, b, bStart) {
+    let aWords = words(a, aStart, aEnd);
+    let bWords = words(b, bStart, bStart + aEnd - aStart);
+    for (let i = 0; i < aWords.length; i++) {
+        if (aWords[i] !== bWords[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// The change from the array before to the array after, typed arrays
+// with stride elements for each face, as {edits, bytes}.  Each edit is
+// {beforeStart, afterStart, before, after}: the elements before at
+// beforeStart in the array before became after at afterStart.  The
+// elements between the edits are the same.
+//
+// The chunks of both arrays, see chunks(), are matched in order and
+// each stretch between matching chunks is an edit, less what's the
+// same at its start and end.  An array that appears or disappears,
+// like colors, is kept whole.  Returns null if nothing changed.
+function diff(before, after, stride) {
+    if (!before || !after) {
+        if (before === after) {
+            return null;
+        }
+        let bytes = (before ? before.byteLength : 0) + (after ? after.byteLength : 0);
+        return {whole: true, before, after, bytes};
+    }
+    let beforeChunks = chunks(before, stride);
+    let afterChunks = chunks(after, stride);
+    // Map from key to the indices of the chunks of after with it.
+    let afterByKey = new Map();
+    afterChunks.forEach((chunk, i) => {
+        if (!afterByKey.has(chunk.key)) {
+            afterByKey.set(chunk.key, []);
+        }
+        afterByKey.get(chunk.key).push(i);
+    });
+
+    let edits = [];
+    let bytes = 0;
+    // Add an edit for the stretch from the ends of the last matching
+    // chunks to the starts of the next ones.
+    let addEdit = (beforeStart, beforeEnd, afterStart, afterEnd) => {
+        while (beforeStart < beforeEnd && afterStart < afterEnd && Object.is(before[beforeStart], after[afterStart])) {
+            beforeStart++;
+            afterStart++;
+        }
+        while (beforeStart < beforeEnd && afterStart < afterEnd && Object.is(before[beforeEnd-1], after[afterEnd-1])) {
+            beforeEnd--;
+            afterEnd--;
+        }
+        if (beforeStart < beforeEnd || afterStart < afterEnd) {
+            let edit = {beforeStart, afterStart,
+                        before: before.slice(beforeStart, beforeEnd),
+                        after: after.slice(afterStart, afterEnd)};
+            edits.push(edit);
+            bytes += edit.before.byteLength + edit.after.byteLength;
+        }
+    };
+    let beforeEnd = 0;
+    let afterEnd = 0;
+    let nextAfter = 0;
+    for (let chunk of beforeChunks) {
+        let candidates = afterByKey.get(chunk.key) || [];
+        let match;
+        for (let i of candidates) {
+            if (i >= nextAfter && same(before, chunk.start, chunk.end, after, afterChunks[i].start)) {
+                match = i;
+                break;
+            }
+        }
+        if (match === undefined) {
+            continue;
+        }
+        // The chunks before the match can't match anymore.
+        afterByKey.set(chunk.key, candidates.slice(candidates.indexOf(match) + 1));
+        addEdit(beforeEnd, chunk.start, afterEnd, afterChunks[match].start);
+        beforeEnd = chunk.end;
+        afterEnd = afterChunks[match].end;
+        nextAfter = match + 1;
+    }
+    addEdit(beforeEnd, before.length, afterEnd, after.length);
+    if (edits.length == 0) {
+        return null;
+    }
+    return {edits, bytes};
+}
+
+// The array with the change undone, if to is 'before', or redone, if
+// to is 'after'.
+function patch(array, change, to) {
+    if (change.whole) {
+        return change[to] ? change[to].slice(0) : change[to];
+    }
+    let from = to == 'before' ? 'after' : 'before';
+    let length = change.edits.reduce((sum, edit) => sum + edit[to].length - edit[from].length, array.length);
+    let result = new array.constructor(length);
+    let read = 0;
+    let write = 0;
+    for (let edit of change.edits) {
+        let unchanged = edit[from + 'Start'] - read;
+        result.set(array.subarray(read, read + unchanged), write);
+        write += unchanged;
+        result.set(edit[to], write);
+        write += edit[to].length;
+        read = edit[from + 'Start'] + edit[from].length;
+    }
+    result.set(array.subarray(read), write);
+    return result;
+}
+
+export { MutatorHistory };
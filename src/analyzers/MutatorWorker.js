@@ -0,0 +1,332 @@
+import * as THREE from 'three';
+import { BufferGeometryMutator } from './BufferGeometryMutator';
+import { GeometryError } from './GeometryError';
+import { AbortError } from './Progress';
+
+/* global Promise, SharedArrayBuffer, Atomics */
+
+// Runs BufferGeometryMutator operations in a worker so that they don't
+// hold up the page or the main thread.
+//
+// The worker is a browser Worker or a Node worker_threads Worker whose
+// script calls MutatorWorker.serve() with its self or parentPort.  The
+// mutators stay in the worker and are known here by handles, which are
+// numbers.  Geometries go back and forth as their typed arrays, which
+// are transferred instead of copied.  Every method returns a Promise
+// and errors in the worker, like a GeometryError, reject it.
+//
+// The methods that run long operations take options.onProgress and
+// options.signal, an AbortSignal, as in
+// BufferGeometryMutator.startProgress().  The progress comes back in
+// messages.  When the signal is aborted, an abort message is sent for
+// the request, which stops it if it's still waiting in the worker.  The
+// worker can't read messages while an operation runs, so a running one
+// reads the abort from memory shared with the worker, where
+// SharedArrayBuffer is available.  An aborted request is rejected with
+// an AbortError and the mutator is put back.
+class MutatorWorker {
+    constructor(worker) {
+        this.worker = worker;
+        this.nextId = 1;
+        // Map from the id of each request to {resolve, reject, onProgress}.
+        this.pending = new Map();
+        let receive = (message) => this.receive(message);
+        // If the worker fails, so does everything waiting for it.
+        let fail = (error) => {
+            for (let request of this.pending.values()) {
+                request.reject(error);
+            }
+            this.pending.clear();
+        };
+        if (typeof worker.on == 'function') {
+            worker.on('message', receive);
+            worker.on('error', fail);
+        } else {
+            worker.addEventListener('message', (event) => receive(event.data));
+            worker.addEventListener('error', fail);
+        }
+    }
+
+    // Send the method and its arguments to the worker.  Returns a
+    // Promise of the result.  options.onProgress and options.signal are
+    // as in BufferGeometryMutator.startProgress().
+    request(method, args, transfer = [], options = {}) {
+        let id = this.nextId++;
+        let signal = options.signal;
+        let message = {id, method, args, progress: Boolean(options.onProgress), signal: Boolean(signal)};
+        // Set to 1 when the request is aborted.
+        let aborted = null;
+        if (signal && typeof SharedArrayBuffer == 'function') {
+            aborted = message.aborted = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+        }
+        let abort = () => {
+            if (aborted) {
+                Atomics.store(aborted, 0, 1);
+            }
+            this.worker.postMessage({method: 'abort', args: [id]});
+        };
+        return new Promise((resolve, reject) => {
+            let settle = (callback) => (value) => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                callback(value);
+            };
+            this.pending.set(id, {resolve: settle(resolve), reject: settle(reject), onProgress: options.onProgress});
+            this.worker.postMessage(message, transfer);
+            if (signal && signal.aborted) {
+                abort();
+            } else if (signal) {
+                signal.addEventListener('abort', abort);
+            }
+        });
+    }
+
+    receive(message) {
+        let request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+        if (message.progress !== undefined) {
+            if (request.onProgress) {
+                request.onProgress(message.progress);
+            }
+            return;
+        }
+        this.pending.delete(message.id);
+        if (message.error) {
+            request.reject(errorFromMessage(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    // Read the THREE.BufferGeometry into a new mutator in the worker,
+    // see BufferGeometryMutator.fromBufferGeometry().  Returns a
+    // Promise of its handle.
+    fromBufferGeometry(bufferGeometry, options = {}) {
+        let message = messageFromGeometry(bufferGeometry, true);
+        return this.request('fromBufferGeometry', [message.geometry, withoutProgress(options)], message.transfer, options);
+    }
+
+    // Returns a Promise of the THREE.BufferGeometry of the mutator,
+    // indexed if indexed is true, see
+    // BufferGeometryMutator.bufferGeometry().
+    bufferGeometry(handle, indexed = false) {
+        return this.request('bufferGeometry', [handle, indexed]).then(geometryFromMessage);
+    }
+
+    // Chop the mutator with the THREE.Plane, see
+    // BufferGeometryMutator.chop().  Returns a Promise of a list of
+    // {handle, geometry}, one for each piece.
+    chop(handle, plane, options = {}) {
+        return this.request('chop', [handle, plane.normal.toArray(), plane.constant, withoutProgress(options)], [], options).then(piecesFromMessage);
+    }
+
+    // Returns a Promise of a list of {handle, geometry}, one for each
+    // island of the mutator, see BufferGeometryMutator.isolate().
+    isolate(handle) {
+        return this.request('isolate', [handle]).then(piecesFromMessage);
+    }
+
+    // Merge the faces of the mutator, see
+    // BufferGeometryMutator.mergeFaces().  Returns a Promise of its new
+    // THREE.BufferGeometry.
+    mergeFaces(handle, options = {}) {
+        return this.request('mergeFaces', [handle], [], options).then(geometryFromMessage);
+    }
+
+    // Fill the holes of the mutator, see BufferGeometryMutator.fixHoles().
+    // Returns a Promise of its new THREE.BufferGeometry.
+    fixHoles(handle, options = {}) {
+        return this.request('fixHoles', [handle], [], options).then(geometryFromMessage);
+    }
+
+    // Forget the mutator in the worker.
+    release(handle) {
+        return this.request('release', [handle]);
+    }
+
+    terminate() {
+        return this.worker.terminate();
+    }
+
+    // Answer the requests of MutatorWorkers.  port is the worker's self
+    // in a browser or worker_threads.parentPort in Node.
+    static serve(port) {
+        let mutators = new Map();
+        let nextHandle = 1;
+        let add = (mutator) => {
+            mutators.set(nextHandle, mutator);
+            return nextHandle++;
+        };
+        let get = (handle) => {
+            if (!mutators.has(handle)) {
+                throw new Error('Unknown mutator: ' + handle);
+            }
+            return mutators.get(handle);
+        };
+        // Each returns [result, transfer].
+        let pieces = (newMutators) => {
+            let result = [];
+            let transfer = [];
+            for (let mutator of newMutators) {
+                let message = messageFromGeometry(mutator.bufferGeometry(), false);
+                result.push({handle: add(mutator), geometry: message.geometry});
+                transfer.push(...message.transfer);
+            }
+            return [result, transfer];
+        };
+        let geometry = (mutator, indexed = false) => {
+            let message = messageFromGeometry(mutator.bufferGeometry(indexed), false);
+            return [message.geometry, message.transfer];
+        };
+        // Each method gets the arguments of the request and then the
+        // onProgress and signal for it.
+        let methods = {
+            fromBufferGeometry: (message, options, progress) => {
+                let mutator = new BufferGeometryMutator().fromBufferGeometry(geometryFromMessage(message),
+                                                                             Object.assign({}, options, progress));
+                return [add(mutator), []];
+            },
+            bufferGeometry: (handle, indexed) => geometry(get(handle), indexed),
+            chop: (handle, normal, constant, options, progress) => {
+                return pieces(get(handle).chop(new THREE.Plane(new THREE.Vector3().fromArray(normal), constant),
+                                               Object.assign({}, options, progress)));
+            },
+            isolate: (handle) => pieces(get(handle).isolate()),
+            mergeFaces: (handle, progress) => {
+                get(handle).mergeFaces(undefined, progress);
+                return geometry(get(handle));
+            },
+            fixHoles: (handle, progress) => {
+                get(handle).fixHoles(null, progress);
+                return geometry(get(handle));
+            },
+            release: (handle) => [mutators.delete(handle), []]
+        };
+        // Requests wait here and run one at a time, each after the
+        // messages that came in while the one before ran, so that an
+        // abort message for a waiting request is read before it starts.
+        let queue = [];
+        // The ids of the waiting requests that were aborted.
+        let aborted = new Set();
+        let progressOptions = (message) => {
+            let options = {};
+            if (message.progress) {
+                options.onProgress = (fraction) => port.postMessage({id: message.id, progress: fraction});
+            }
+            if (message.signal) {
+                options.signal = {get aborted() {
+                    return aborted.has(message.id) || Boolean(message.aborted) && Atomics.load(message.aborted, 0) == 1;
+                }};
+            }
+            return options;
+        };
+        let run = () => {
+            let message = queue[0];
+            try {
+                if (!methods.hasOwnProperty(message.method)) {
+                    throw new Error('Unknown method: ' + message.method);
+                }
+                let [result, transfer] = methods[message.method](...message.args, progressOptions(message));
+                port.postMessage({id: message.id, result}, transfer);
+            } catch (error) {
+                port.postMessage({id: message.id,
+                                  error: {name: error.name, message: error.message, problems: error.problems}});
+            } finally {
+                aborted.delete(message.id);
+                queue.shift();
+                if (queue.length > 0) {
+                    setTimeout(run, 0);
+                }
+            }
+        };
+        let listener = (message) => {
+            if (message.method == 'abort') {
+                let id = message.args[0];
+                if (queue.some((request) => request.id == id)) {
+                    aborted.add(id);
+                }
+                return;
+            }
+            queue.push(message);
+            if (queue.length == 1) {
+                setTimeout(run, 0);
+            }
+        };
+        if (typeof port.on == 'function') {
+            port.on('message', listener);
+        } else {
+            port.addEventListener('message', (event) => listener(event.data));
+        }
+    }
+}
+
+// The typed arrays of the attributes of the geometry, for a message,
+// and the buffers to transfer.  If copy is true, the arrays are copied
+// so that the geometry can still be used after they're transferred.
+function messageFromGeometry(bufferGeometry, copy) {
+    let geometry = {};
+    let transfer = [];
+    let add = (name, array) => {
+        geometry[name] = copy ? array.slice(0) : array;
+        transfer.push(geometry[name].buffer);
+    };
+    for (let name of ['position', 'color', 'normal']) {
+        let attribute = bufferGeometry.getAttribute(name);
+        if (attribute) {
+            add(name, attribute.array);
+        }
+    }
+    if (bufferGeometry.getIndex()) {
+        add('index', bufferGeometry.getIndex().array);
+    }
+    return {geometry, transfer};
+}
+
+function geometryFromMessage(geometry) {
+    let bufferGeometry = new THREE.BufferGeometry();
+    for (let name of ['position', 'color', 'normal']) {
+        if (geometry[name]) {
+            bufferGeometry.addAttribute(name, new THREE.BufferAttribute(geometry[name], 3));
+        }
+    }
+    if (geometry.index) {
+        bufferGeometry.setIndex(new THREE.BufferAttribute(geometry.index, 1));
+    }
+    return bufferGeometry;
+}
+
+// The options without onProgress and signal, which can't be sent to
+// the worker.
+function withoutProgress(options) {
+    let copy = Object.assign({}, options);
+    delete copy.onProgress;
+    delete copy.signal;
+    return copy;
+}
+
+function piecesFromMessage(pieces) {
+    return pieces.map((piece) => ({handle: piece.handle, geometry: geometryFromMessage(piece.geometry)}));
+}
+
+// The error that the worker sent.  The THREE.Vector3s of a
+// GeometryError's problems arrive as plain objects.
+function errorFromMessage(error) {
+    if (error.name == 'GeometryError') {
+        let problems = error.problems.map((problem) => Object.assign({}, problem, {
+            edge: problem.edge && {start: new THREE.Vector3().copy(problem.edge.start),
+                                   end: new THREE.Vector3().copy(problem.edge.end)}
+        }));
+        return new GeometryError(error.message, problems);
+    }
+    if (error.name == 'AbortError') {
+        return new AbortError(error.message);
+    }
+    let newError = new Error(error.message);
+    newError.name = error.name;
+    return newError;
+}
+
+export { MutatorWorker };
@@ -0,0 +1,78 @@
+// The error thrown when an operation is aborted through its signal.
+// A function like GeometryError, for the same reason.
+function AbortError(message = 'The operation was aborted') {
+    this.name = 'AbortError';
+    this.message = message;
+    this.stack = new Error(message).stack;
+}
+AbortError.prototype = Object.create(Error.prototype);
+AbortError.prototype.constructor = AbortError;
+
+// How far along a long operation is and whether it should stop.
+//
+// options.onProgress(fraction) is called with numbers from 0 to 1 as
+// the operation goes, about every hundredth, and with 1 at the end.
+// options.signal is an AbortSignal, or anything with an aborted
+// property, and report() throws an AbortError once it's aborted, after
+// calling onAbort so that the operation can put things back.  onDone
+// is called when the whole operation is done.
+//
+// An operation made of other operations gives each a part() of its
+// progress.
+class Progress {
+    constructor(options = {}, onAbort = null, onDone = null) {
+        this.onProgress = options.onProgress;
+        this.signal = options.signal;
+        this.onAbort = onAbort;
+        this.onDone = onDone;
+        // This goes from start to end of the whole operation.
+        this.start = 0;
+        this.end = 1;
+        // The whole operation, which keeps the last fraction reported.
+        this.root = this;
+        this.reported = -Infinity;
+    }
+
+    // A Progress for the part of this one from start to end.
+    part(start, end) {
+        let part = new Progress(this, this.onAbort);
+        part.root = this.root;
+        part.start = this.start + (this.end - this.start) * start;
+        part.end = this.start + (this.end - this.start) * end;
+        return part;
+    }
+
+    // Report that fraction of this is done and throw if the operation
+    // was aborted.
+    report(fraction) {
+        if (this.signal && this.signal.aborted) {
+            if (this.root.onAbort) {
+                this.root.onAbort();
+                this.root.onAbort = null;
+            }
+            throw new AbortError();
+        }
+        this.notify(fraction);
+    }
+
+    // Report that all of this is done.
+    done() {
+        this.notify(1);
+        if (this.root == this && this.onDone) {
+            this.onDone();
+        }
+    }
+
+    notify(fraction) {
+        if (!this.onProgress) {
+            return;
+        }
+        let total = this.start + (this.end - this.start) * fraction;
+        if (total - this.root.reported >= 0.01 || total == 1 && this.root.reported < 1) {
+            this.root.reported = total;
+            this.onProgress(total);
+        }
+    }
+}
+
+export { AbortError, Progress };
@@ -0,0 +1,55 @@
+// Helpers for the typed arrays that a BufferGeometryMutator keeps its
+// faces in.  positions is a Float64Array, colors a Float32Array, like
+// the color attribute, and neighbors and reverseIslands are
+// Int32Arrays, where NONE stands for no neighbor and no island.
+//
+// Typed arrays can't grow, so an array that gets more elements is
+// replaced by a longer view of a bigger buffer.  The buffer doubles when
+// it's full, like a JS array, so adding faces one at a time doesn't
+// copy all the faces each time.  The room left is let go with trim()
+// when an operation is done.
+
+const NONE = -1;
+
+// Returns array with length elements.  The elements past the end of
+// array are value.  array is returned as is if it's long enough.
+function resize(array, length, value = 0) {
+    if (length <= array.length) {
+        return array;
+    }
+    let Type = array.constructor;
+    let capacity = (array.buffer.byteLength - array.byteOffset) / Type.BYTES_PER_ELEMENT;
+    let resized;
+    if (length <= capacity) {
+        resized = new Type(array.buffer, array.byteOffset, length);
+    } else {
+        capacity = Math.max(length, capacity * 2, 64);
+        resized = new Type(new ArrayBuffer(capacity * Type.BYTES_PER_ELEMENT), 0, length);
+        resized.set(array);
+    }
+    return resized.fill(value, array.length);
+}
+
+// Returns array without the room that resize() left for it to grow,
+// as a copy, or array itself if it has no room left.
+function trim(array) {
+    if (!array || array.byteOffset == 0 && array.byteLength == array.buffer.byteLength) {
+        return array;
+    }
+    return array.slice(0);
+}
+
+// Returns a new typed array, of the type of the first, with all the
+// elements of the arrays, which can also be plain arrays.
+function concat(...arrays) {
+    let length = arrays.reduce((sum, array) => sum + array.length, 0);
+    let result = new arrays[0].constructor(length);
+    let start = 0;
+    for (let array of arrays) {
+        result.set(array, start);
+        start += array.length;
+    }
+    return result;
+}
+
+export { NONE, concat, resize, trim };
@@ -0,0 +1,393 @@
+import { BufferGeometryAnalyzer, STLLoader } from '..';
+import { expect } from 'chai';
+import fs from 'fs';
+import * as THREE from 'three';
+
+
+// Tests of BufferGeometryAnalyzer.  To run:
+// npm test
+// To run just these tests:
+// npm test -- --grep "BufferGeometryAnalyzer"
+
+describe("BufferGeometryAnalyzer", function() {
+    describe("surfaces", function() {
+        it("should find 6 surfaces on an indexed box", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let surfaces = BufferGeometryAnalyzer.surfaces(geometry);
+            expect(surfaces.length).to.equal(6);
+        });
+
+        it("should find the same surfaces on indexed and non-indexed geometry", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let surfaces = BufferGeometryAnalyzer.sortedSurfacesByArea(geometry);
+            let nonIndexedSurfaces = BufferGeometryAnalyzer.sortedSurfacesByArea(geometry.toNonIndexed());
+            expect(surfaces.map((surface) => surface.area)).to.deep.equal(nonIndexedSurfaces.map((surface) => surface.area));
+            // The largest surfaces are the 20 by 30 sides.
+            expect(Math.abs(surfaces[0].normal.x)).to.be.closeTo(1, 0.0001);
+            expect(surfaces[0].area).to.be.closeTo(600, 0.0001);
+            expect(surfaces[5].area).to.be.closeTo(200, 0.0001);
+        });
+
+        it("should return faceIndices that point into the index of an indexed geometry", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let positions = geometry.attributes.position;
+            let index = geometry.index.array;
+            for (let surface of BufferGeometryAnalyzer.surfaces(geometry)) {
+                for (let faceIndex of surface.faceIndices) {
+                    let vertices = [0, 1, 2].map((v) => new THREE.Vector3().fromBufferAttribute(positions, index[faceIndex/3 + v]));
+                    let normal = new THREE.Triangle(...vertices).normal();
+                    expect(normal.dot(surface.normal)).to.be.closeTo(1, 0.0001);
+                }
+            }
+        });
+    });
+
+    describe("isolatedGeometries", function() {
+        it("should separate 27 cubes", function () {
+            let stl = fs.readFileSync("test/data/rubix.stl", {encoding: "binary"});
+            let geometry = new STLLoader().parse(stl);
+            expect(BufferGeometryAnalyzer.isolatedGeometries(geometry).length).to.equal(27);
+        });
+    });
+
+    describe("printabilityReport", function() {
+        let reportForFile = function (filename) {
+            let stl = fs.readFileSync("test/data/" + filename + ".stl", {encoding: "binary"});
+            return BufferGeometryAnalyzer.printabilityReport(new STLLoader().parse(stl));
+        };
+
+        it("should find a box printable", function () {
+            let report = BufferGeometryAnalyzer.printabilityReport(new THREE.BoxBufferGeometry(10, 20, 30));
+            expect(report.printable).to.be.true;
+            expect(report.islands.length).to.equal(1);
+            expect(report.volume).to.be.closeTo(6000, 0.0001);
+            expect(report.surfaceArea).to.be.closeTo(2200, 0.0001);
+            expect(report.boundingBox.getSize().toArray()).to.deep.equal([10, 20, 30]);
+        });
+
+        it("should find the holes in an egg", function () {
+            let report = reportForFile("egg_with_holes");
+            expect(report.printable).to.be.false;
+            expect(report.openBoundaryLoops.length).to.equal(3);
+        });
+
+        it("should find the edge shared by 2 tetrahedrons", function () {
+            let report = reportForFile("edge_connected_tetrahedrons");
+            expect(report.printable).to.be.false;
+            expect(report.nonManifoldEdges.length).to.equal(1);
+            expect(report.nonManifoldEdges[0].faceIndices.length).to.equal(4);
+        });
+
+        it("should find a face that is the wrong way around", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let index = geometry.index.array;
+            [index[0], index[1]] = [index[1], index[0]];
+            let report = BufferGeometryAnalyzer.printabilityReport(geometry);
+            expect(report.printable).to.be.false;
+            expect(report.inconsistentlyWoundFaces).to.deep.equal([0]);
+            expect(report.openBoundaryLoops.length).to.equal(0);
+        });
+
+        it("should add the volumes of islands that face different ways", function () {
+            let inward = new THREE.BoxBufferGeometry(10, 10, 10).translate(20, 0, 0);
+            let index = inward.index.array;
+            for (let i = 0; i < index.length; i += 3) {
+                [index[i], index[i+1]] = [index[i+1], index[i]];
+            }
+            let geometry = new THREE.Geometry();
+            geometry.merge(new THREE.Geometry().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 20, 30)));
+            geometry.merge(new THREE.Geometry().fromBufferGeometry(inward));
+            let report = BufferGeometryAnalyzer.printabilityReport(new THREE.BufferGeometry().fromGeometry(geometry));
+            expect(report.islands.length).to.equal(2);
+            expect(report.volume).to.be.closeTo(7000, 0.0001);
+        });
+
+        it("should find degenerate faces", function () {
+            let geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.Float32BufferAttribute([0,0,0, 1,0,0, 1,0,0], 3));
+            let report = BufferGeometryAnalyzer.printabilityReport(geometry);
+            expect(report.degenerateFaces).to.deep.equal([0]);
+            expect(report.islands.length).to.equal(0);
+        });
+
+        it("should count the cubes of a rubix cube as connected", function () {
+            let report = reportForFile("rubix");
+            expect(report.islands.length).to.equal(1);
+            expect(report.nonManifoldEdges.length).to.be.above(0);
+            expect(report.volume).to.be.closeTo(27000, 0.01);
+        });
+    });
+
+    describe("slice", function() {
+        it("should slice a box into a rectangle", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let positions = geometry.getAttribute('position').array.slice(0);
+            let loops = BufferGeometryAnalyzer.slice(geometry, new THREE.Plane(new THREE.Vector3(0, 0, 1), -5));
+            expect(geometry.getAttribute('position').array).to.deep.equal(positions);
+            expect(loops.length).to.equal(1);
+            expect(loops[0].area).to.be.closeTo(200, 0.0001);
+            expect(loops[0].hole).to.be.false;
+            for (let point of loops[0].points) {
+                expect(point.z).to.be.closeTo(5, 0.0001);
+            }
+        });
+
+        it("should slice through the corners of a box", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let loops = BufferGeometryAnalyzer.slice(geometry, new THREE.Plane(new THREE.Vector3(0, 0, 1), -15));
+            expect(loops.length).to.equal(1);
+            expect(loops[0].points.length).to.equal(4);
+            expect(loops[0].area).to.be.closeTo(200, 0.0001);
+        });
+
+        it("should find the hole in a hollow cube", function () {
+            let stl = fs.readFileSync("test/data/hollow_cube.stl", {encoding: "binary"});
+            let geometry = new STLLoader().parse(stl);
+            geometry.computeBoundingBox();
+            let middle = geometry.boundingBox.getCenter();
+            let loops = BufferGeometryAnalyzer.slice(geometry, new THREE.Plane(new THREE.Vector3(0, 0, 1), -middle.z));
+            expect(loops.map((loop) => loop.hole).sort()).to.deep.equal([false, true]);
+            let outside = loops.find((loop) => !loop.hole);
+            let inside = loops.find((loop) => loop.hole);
+            expect(outside.area).to.be.above(-inside.area);
+        });
+
+        it("should slice layers", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let layers = BufferGeometryAnalyzer.sliceLayers(geometry, 0.5);
+            expect(layers.length).to.equal(60);
+            expect(layers[0].height).to.be.closeTo(-14.75, 0.0001);
+            for (let layer of layers) {
+                expect(layer.loops.length).to.equal(1);
+                expect(layer.loops[0].area).to.be.closeTo(200, 0.0001);
+            }
+            let sideways = BufferGeometryAnalyzer.sliceLayers(geometry, 1, new THREE.Vector3(1, 0, 0));
+            expect(sideways.length).to.equal(10);
+            expect(sideways[0].loops[0].area).to.be.closeTo(600, 0.0001);
+        });
+    });
+
+    describe("overhangs", function() {
+        let readFile = function (filename) {
+            let stl = fs.readFileSync("test/data/" + filename + ".stl", {encoding: "binary"});
+            return new STLLoader().parse(stl);
+        };
+
+        it("should find no overhangs on a box on the bed", function () {
+            let result = BufferGeometryAnalyzer.overhangs(new THREE.BoxBufferGeometry(10, 20, 30));
+            expect(result.regions.length).to.equal(0);
+            expect(result.area).to.equal(0);
+            expect(result.angles.length).to.equal(12);
+        });
+
+        it("should find the ceiling of a hollow", function () {
+            let geometry = readFile("hollow_cube");
+            let result = BufferGeometryAnalyzer.overhangs(geometry, {colors: true});
+            expect(result.regions.length).to.equal(1);
+            expect(result.regions[0].area).to.be.closeTo(676, 0.0001);
+            let colors = geometry.getAttribute('color');
+            expect(colors.count).to.equal(geometry.getAttribute('position').count);
+            // The ceiling points straight down so it's red.
+            let faceIndex = result.regions[0].faceIndices[0];
+            expect([colors.getX(faceIndex/3), colors.getY(faceIndex/3), colors.getZ(faceIndex/3)]).to.deep.equal([1, 0, 0]);
+            expect(result.angles[faceIndex/9]).to.be.closeTo(0, 0.0001);
+        });
+
+        it("should find the floor of a hollow when upside down", function () {
+            let result = BufferGeometryAnalyzer.overhangs(readFile("hollow_cube"), {direction: new THREE.Vector3(0, 0, 1)});
+            expect(result.regions.length).to.equal(1);
+            expect(result.area).to.be.closeTo(676, 0.0001);
+        });
+
+        it("should find separate regions", function () {
+            let result = BufferGeometryAnalyzer.overhangs(readFile("plus"));
+            expect(result.regions.length).to.equal(2);
+            for (let region of result.regions) {
+                expect(region.area).to.be.closeTo(200, 0.0001);
+            }
+        });
+
+        it("should only count walls leaning out more than the angle", function () {
+            let geometry = readFile("egg");
+            let steep = BufferGeometryAnalyzer.overhangs(geometry, {angle: 30});
+            let shallow = BufferGeometryAnalyzer.overhangs(geometry, {angle: 60});
+            expect(steep.area).to.be.above(shallow.area);
+        });
+    });
+
+    describe("suggestOrientations", function() {
+        it("should lay a standing plate flat", function () {
+            let geometry = new THREE.BoxBufferGeometry(40, 40, 2);
+            geometry.rotateX(Math.PI / 2);
+            let orientations = BufferGeometryAnalyzer.suggestOrientations(geometry);
+            let best = orientations[0];
+            expect(best.overhangArea).to.equal(0);
+            expect(best.height).to.be.closeTo(2, 0.0001);
+            expect(best.footprintArea).to.be.closeTo(1600, 0.0001);
+            let turned = geometry.clone().applyMatrix(new THREE.Matrix4().makeRotationFromQuaternion(best.quaternion));
+            turned.computeBoundingBox();
+            expect(turned.boundingBox.getSize().z).to.be.closeTo(2, 0.0001);
+        });
+
+        it("should sort the orientations by score", function () {
+            let stl = fs.readFileSync("test/data/hollow_cube.stl", {encoding: "binary"});
+            let orientations = BufferGeometryAnalyzer.suggestOrientations(new STLLoader().parse(stl));
+            expect(orientations.length).to.be.above(1);
+            for (let i = 1; i < orientations.length; i++) {
+                expect(orientations[i].score).to.be.at.least(orientations[i-1].score);
+            }
+            // Every side of a hollow cube has the hollow over it.
+            for (let orientation of orientations) {
+                expect(orientation.overhangArea).to.be.above(0);
+                expect(orientation.supportContactArea).to.be.at.most(orientation.overhangArea + 0.0001);
+            }
+        });
+    });
+
+    describe("wallThickness", function() {
+        it("should find a thin plate", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 0.5);
+            let result = BufferGeometryAnalyzer.wallThickness(geometry, {colors: true});
+            expect(result.thicknesses).to.deep.equal([10, 10, 10, 10, 20, 20, 20, 20, 0.5, 0.5, 0.5, 0.5]);
+            expect(result.thickness).to.equal(0.5);
+            // The top and the bottom only touch through the sides, which are thick.
+            expect(result.regions.length).to.equal(2);
+            for (let region of result.regions) {
+                expect(region.area).to.be.closeTo(200, 0.0001);
+                expect(region.thickness).to.equal(0.5);
+            }
+            let colors = geometry.getAttribute('color');
+            // The top is halfway from yellow to red and the sides are white.
+            expect([colors.getX(16), colors.getY(16), colors.getZ(16)]).to.deep.equal([1, 0.5, 0]);
+            expect([colors.getX(0), colors.getY(0), colors.getZ(0)]).to.deep.equal([1, 1, 1]);
+        });
+
+        it("should measure the walls of a hollow cube", function () {
+            let stl = fs.readFileSync("test/data/hollow_cube.stl", {encoding: "binary"});
+            let result = BufferGeometryAnalyzer.wallThickness(new STLLoader().parse(stl), {minimum: 5});
+            expect(result.thicknesses.every((thickness) => Math.abs(thickness - 2) < 0.0001)).to.be.true;
+            expect(result.regions.map((region) => region.area)).to.deep.equal([30*30*6, 26*26*6]);
+        });
+
+        it("should find no wall behind an open surface", function () {
+            let result = BufferGeometryAnalyzer.wallThickness(new THREE.PlaneBufferGeometry(10, 10));
+            expect(result.thicknesses).to.deep.equal([Infinity, Infinity]);
+            expect(result.regions).to.deep.equal([]);
+        });
+    });
+
+    describe("layFlat", function() {
+        let worldBox = function (object) {
+            object.updateMatrixWorld(true);
+            return new THREE.Box3().setFromObject(object);
+        };
+
+        it("should lay a turned box down on the face", function () {
+            let mesh = new THREE.Mesh(new THREE.BoxBufferGeometry(10, 20, 30));
+            mesh.position.set(5, 6, 7);
+            mesh.rotation.set(0.3, 0.5, 0.7);
+            // Faces 0 and 1 are on the +x side of the box, which is 20 by 30.
+            let result = BufferGeometryAnalyzer.layFlat(mesh, 1);
+            expect(result.onHull).to.be.true;
+            let center = worldBox(mesh).getCenter();
+            mesh.applyMatrix(result.matrix);
+            let box = worldBox(mesh);
+            expect(box.min.z).to.be.closeTo(0, 0.0001);
+            expect(box.getSize().z).to.be.closeTo(10, 0.0001);
+            expect(box.getCenter().x).to.be.closeTo(center.x, 0.0001);
+            expect(box.getCenter().y).to.be.closeTo(center.y, 0.0001);
+            let normal = new THREE.Vector3(1, 0, 0).applyQuaternion(mesh.quaternion);
+            expect(normal.z).to.be.closeTo(-1, 0.0001);
+        });
+
+        it("should take a surface", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let surface = BufferGeometryAnalyzer.surfaces(geometry).find((surface) => surface.normal.y > 0.5);
+            let result = BufferGeometryAnalyzer.layFlat(geometry, surface);
+            expect(result.normal.y).to.be.closeTo(1, 0.0001);
+            expect(result.translation.z).to.be.closeTo(10, 0.0001);
+        });
+
+        it("should snap a face in a hollow to the hull", function () {
+            let stl = fs.readFileSync("test/data/hollow_cube.stl", {encoding: "binary"});
+            let geometry = new STLLoader().parse(stl);
+            geometry.computeVertexNormals();
+            let ceiling = BufferGeometryAnalyzer.overhangs(geometry).regions[0];
+            let result = BufferGeometryAnalyzer.layFlat(geometry, ceiling.faceIndices[0]/9);
+            expect(result.onHull).to.be.false;
+            expect(result.normal.z).to.be.closeTo(-1, 0.0001);
+            expect(result.quaternion.w).to.be.closeTo(1, 0.0001);
+        });
+    });
+
+    describe("arrange", function() {
+        let boxAt = function (x, y) {
+            let mesh = new THREE.Mesh(new THREE.BoxBufferGeometry(10, 20, 5));
+            mesh.position.set(x, y, 2.5);
+            return mesh;
+        };
+
+        let worldBoxes = function (meshes, placements) {
+            return meshes.map((mesh, i) => {
+                mesh.applyMatrix(placements[i].matrix);
+                mesh.updateMatrixWorld(true);
+                return new THREE.Box3().setFromObject(mesh);
+            });
+        };
+
+        let expectApart = function (boxes, spacing) {
+            for (let i = 0; i < boxes.length; i++) {
+                for (let j = i + 1; j < boxes.length; j++) {
+                    let gap = Math.max(boxes[j].min.x - boxes[i].max.x, boxes[i].min.x - boxes[j].max.x,
+                                       boxes[j].min.y - boxes[i].max.y, boxes[i].min.y - boxes[j].max.y);
+                    expect(gap).to.be.at.least(spacing - 0.0001);
+                }
+            }
+        };
+
+        it("should spread overlapping boxes over a rectangular bed", function () {
+            let meshes = [boxAt(0, 0), boxAt(1, 1), boxAt(2, 2), boxAt(3, 3)];
+            let result = BufferGeometryAnalyzer.arrange(meshes, {width: 100, depth: 100}, {spacing: 3});
+            expect(result.unplaced).to.deep.equal([]);
+            let boxes = worldBoxes(meshes, result.placements);
+            let bed = new THREE.Box3(new THREE.Vector3(0, 0, -1), new THREE.Vector3(100, 100, 10));
+            for (let box of boxes) {
+                expect(bed.containsBox(box)).to.be.true;
+                expect(box.min.z).to.be.closeTo(0, 0.0001);
+            }
+            expectApart(boxes, 3);
+        });
+
+        it("should report the parts that don't fit", function () {
+            let meshes = [boxAt(0, 0), boxAt(0, 0), boxAt(0, 0)];
+            let result = BufferGeometryAnalyzer.arrange(meshes, {width: 25, depth: 25}, {spacing: 2});
+            expect(result.unplaced).to.deep.equal([2]);
+            expect(result.placements[2]).to.be.null;
+            expectApart(worldBoxes(meshes.slice(0, 2), result.placements), 2);
+        });
+
+        it("should turn parts to fit", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 40, 5);
+            let bed = {width: 45, depth: 15};
+            expect(BufferGeometryAnalyzer.arrange([geometry], bed).unplaced).to.deep.equal([0]);
+            let result = BufferGeometryAnalyzer.arrange([geometry], bed, {rotate: true});
+            expect(result.unplaced).to.deep.equal([]);
+            expect(Math.abs(Math.sin(result.placements[0].angle))).to.be.closeTo(1, 0.0001);
+        });
+
+        it("should keep parts on a round bed", function () {
+            let meshes = [boxAt(0, 0), boxAt(0, 0), boxAt(0, 0)];
+            let result = BufferGeometryAnalyzer.arrange(meshes, {radius: 30}, {footprint: 'outline'});
+            expect(result.unplaced).to.deep.equal([]);
+            let boxes = worldBoxes(meshes, result.placements);
+            for (let box of boxes) {
+                for (let x of [box.min.x, box.max.x]) {
+                    for (let y of [box.min.y, box.max.y]) {
+                        expect(Math.hypot(x, y)).to.be.at.most(30);
+                    }
+                }
+            }
+            expectApart(boxes, 2);
+        });
+    });
+});
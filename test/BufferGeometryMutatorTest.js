@@ -1,4 +1,4 @@
-import { BufferGeometryAnalyzer, BufferGeometryMutator, STLLoader, STLExporter, STLBinaryExporter } from '..';
+import { AbortError, BufferGeometryAnalyzer, BufferGeometryMutator, GeometryError, MutatorHistory, MutatorWorker, STLLoader, STLExporter, STLBinaryExporter } from '..';
 import { expect } from 'chai';
 import fs from 'fs';
 import * as THREE from 'three';
@@ -16,6 +16,15 @@ import * as THREE from 'three';
 const equalNormals = function (v0, v1) {
     return v0.angleTo(v1) < Math.PI/180*0.0001;
 };
+
+// The volume enclosed by the faces, negative if they point inward.
+const volume = function (mutator) {
+    return mutator.massProperties().volume;
+};
+// Whether the element of neighbors is a neighbor and not -1 for none.
+const hasNeighbor = function (neighbor) {
+    return neighbor != -1;
+};
 describe("BufferGeometryMutator", function() {
     describe("isolatedBufferGeometries", function() {
         let testFile = function (filename, expectedGeometriesCount, writeShapes = process.env.WRITE_TEST_OUTPUTS) {
@@ -39,6 +48,7 @@ describe("BufferGeometryMutator", function() {
             geometry.computeBoundingBox();
             let boundingBox = geometry.boundingBox;
             let oldFaceCount = mutator.positions.length/9;
+            let closed = mutator.findNeighbors();
             let splits = mutator.splitFaces(new THREE.Plane(
                 new THREE.Vector3(1,0,0), -((boundingBox.max.x*2 + boundingBox.min.x)/3)));
             if (writeShapes) {
@@ -51,11 +61,11 @@ describe("BufferGeometryMutator", function() {
             let newFaceCount = mutator.positions.length/9;
             // Splitting an edge affects two faces.
             expect(newFaceCount).to.be.greaterThan(oldFaceCount);
-            let oldNeighbors = mutator.neighbors.slice(0);
-            mutator.neighbors = [];
-            mutator.reverseIslands = [];
-            expect(mutator.findNeighbors()).to.be.true;
-            let newNeighbors = mutator.neighbors.slice(0);
+            let oldNeighbors = Array.from(mutator.neighbors);
+            mutator.neighbors = new Int32Array(0);
+            mutator.reverseIslands = new Int32Array(0);
+            expect(mutator.findNeighbors()).to.equal(closed);
+            let newNeighbors = Array.from(mutator.neighbors);
             // neighbors array should have be updated correctly during split.
             expect(newNeighbors).to.have.ordered.members(oldNeighbors);
 
@@ -244,4 +254,1301 @@ describe("BufferGeometryMutator", function() {
             expect(newBufferGeometryMutators.length).to.equal(1);
         });
     });
+
+    describe("indexed BufferGeometry", function() {
+        it("should read an indexed box as one closed shape", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            expect(mutator.positions.length).to.equal(geometry.index.count*3);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+        });
+
+        it("should share points in indexed output", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 20, 30);
+            let indexedGeometry = new BufferGeometryMutator().fromBufferGeometry(geometry).bufferGeometry(true);
+            expect(indexedGeometry.index.count).to.equal(36);
+            expect(indexedGeometry.getAttribute('position').count).to.equal(8);
+            expect(indexedGeometry.getAttribute('normal').count).to.equal(8);
+        });
+
+        it("should make indexed BufferGeometries per island", function () {
+            let stl = fs.readFileSync("test/data/rubix.stl", {encoding: "binary"});
+            let geometry = new STLLoader().parse(stl);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            let newGeometries = mutator.isolatedBufferGeometries(true);
+            expect(newGeometries.length).to.equal(27);
+            for (let newGeometry of newGeometries) {
+                expect(newGeometry.index).to.not.be.null;
+                // Reading the indexed output back gives the same shape.
+                let newMutator = new BufferGeometryMutator().fromBufferGeometry(newGeometry);
+                expect(Array.from(newMutator.isolate()).length).to.equal(1);
+            }
+        });
+    });
+
+    describe("boolean operations", function() {
+        let expectClosedShapes = function (mutator, expectedIslandsCount) {
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(expectedIslandsCount);
+        };
+        let box = (x = 0) => new BufferGeometryMutator().fromBufferGeometry(
+            new THREE.BoxBufferGeometry(10, 10, 10).translate(x, 0, 0));
+
+        it("should combine overlapping boxes", function () {
+            let union = box().union(box(5));
+            expect(volume(union)).to.be.closeTo(1500, 1e-6);
+            expectClosedShapes(union, 1);
+            let difference = box().difference(box(5));
+            expect(volume(difference)).to.be.closeTo(500, 1e-6);
+            expectClosedShapes(difference, 1);
+            let intersection = box().intersection(box(5));
+            expect(volume(intersection)).to.be.closeTo(500, 1e-6);
+            expectClosedShapes(intersection, 1);
+        });
+
+        it("should keep both boxes when they don't touch", function () {
+            let union = box().union(box(20));
+            expect(volume(union)).to.be.closeTo(2000, 1e-6);
+            expectClosedShapes(union, 2);
+            expect(box().intersection(box(20)).positions.length).to.equal(0);
+            expect(volume(box().difference(box(20)))).to.be.closeTo(1000, 1e-6);
+        });
+
+        it("should scale the tolerances with the shapes", function () {
+            for (let scale of [1e-5, 1e5]) {
+                let scaled = (x) => new BufferGeometryMutator().fromBufferGeometry(
+                    new THREE.BoxBufferGeometry(10, 10, 10).translate(x, 0, 0).scale(scale, scale, scale));
+                let union = scaled(0).union(scaled(5));
+                // The geometry rounds the scaled points to floats.
+                expect(volume(union) / Math.pow(scale, 3)).to.be.closeTo(1500, 1e-3);
+                expectClosedShapes(union, 1);
+                expect(union.filledHoles).to.equal(0);
+            }
+        });
+
+        it("should refuse shapes that aren't closed", function () {
+            let plane = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10));
+            expect(() => box().union(plane)).to.throw(GeometryError)
+                .with.property('problems').that.has.length(4);
+            expect(() => plane.difference(box())).to.throw(GeometryError);
+        });
+
+        it("should count the holes that stitching fills", function () {
+            let stl = fs.readFileSync("test/data/tetrahedron_non_manifold.stl", {encoding: "binary"});
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+            mutator.stitch();
+            expect(mutator.filledHoles).to.equal(1);
+            expectClosedShapes(mutator, 1);
+            expect(box().union(box(5)).filledHoles).to.equal(0);
+        });
+
+        it("should leave the inputs unchanged", function () {
+            let a = box();
+            let b = box(5);
+            let positions = a.positions.slice(0);
+            a.union(b);
+            expect(a.positions).to.deep.equal(positions);
+            expect(b.positions.length).to.equal(positions.length);
+        });
+
+        it("should drill a screw hole", function () {
+            // The seam of the cylinder is a little open from rounding.
+            let cylinder = new BufferGeometryMutator().fromBufferGeometry(
+                new THREE.CylinderBufferGeometry(2, 2, 20, 16), {precisionPoints: 6});
+            let difference = box().difference(cylinder);
+            expectClosedShapes(difference, 1);
+            // The cylinder is a prism with 16 sides.
+            let area = 16/2 * 2*2 * Math.sin(Math.PI*2/16);
+            expect(volume(difference)).to.be.closeTo(1000 - area*10, 1e-3);
+        });
+
+        it("should cut the egg", function () {
+            this.timeout(30000);
+            let stl = fs.readFileSync("test/data/egg.stl", {encoding: "binary"});
+            let egg = new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+            let cutter = new BufferGeometryMutator().fromBufferGeometry(
+                new THREE.BoxBufferGeometry(100, 100, 100).translate(50, 0, 0));
+            let difference = egg.difference(cutter);
+            let intersection = egg.intersection(cutter);
+            expectClosedShapes(difference, 1);
+            expectClosedShapes(intersection, 1);
+            expect(volume(difference) + volume(intersection)).to.be.closeTo(volume(egg), 1e-3);
+        });
+    });
+
+    describe("fixWinding", function() {
+        // A non-indexed copy of the geometry with the listed faces
+        // wound the other way.
+        let flipFaces = function (geometry, faces) {
+            geometry = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+            let positions = geometry.getAttribute('position').array;
+            for (let faceIndex of faces) {
+                for (let i = faceIndex*9 + 3; i < faceIndex*9 + 6; i++) {
+                    [positions[i], positions[i+3]] = [positions[i+3], positions[i]];
+                }
+            }
+            return geometry;
+        };
+        let readFile = function (filename) {
+            let stl = fs.readFileSync("test/data/" + filename + ".stl", {encoding: "binary"});
+            return new STLLoader().parse(stl);
+        };
+
+        it("should flip faces back and connect them", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                flipFaces(new THREE.BoxBufferGeometry(10, 20, 30), [0, 3, 5]));
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.false;
+            let neighbors = mutator.neighbors;
+            expect(mutator.fixWinding()).to.equal(3);
+            expect(mutator.neighbors).to.equal(neighbors);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+            expect(volume(mutator)).to.be.closeTo(6000, 0.0001);
+            expect(mutator.fixWinding()).to.equal(0);
+        });
+
+        it("should turn an inside out egg the right way", function () {
+            let geometry = readFile("egg");
+            let faceCount = geometry.getAttribute('position').count / 3;
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                flipFaces(geometry, Array.from(new Array(faceCount).keys())));
+            expect(mutator.fixWinding()).to.equal(faceCount);
+            expect(volume(mutator)).to.be.above(0);
+        });
+
+        it("should keep the hollow in a hollow cube facing inward", function () {
+            let geometry = readFile("hollow_cube");
+            let expectedVolume = volume(new BufferGeometryMutator().fromBufferGeometry(geometry));
+            let faceCount = geometry.getAttribute('position').count / 3;
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                flipFaces(geometry, Array.from(new Array(faceCount).keys()).filter((faceIndex) => faceIndex % 5 == 0)));
+            mutator.fixWinding();
+            expect(volume(mutator)).to.be.closeTo(expectedVolume, 0.0001);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(2);
+        });
+    });
+
+    describe("massProperties", function() {
+        it("should find the mass properties of a box", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                new THREE.BoxBufferGeometry(10, 20, 30).translate(1, 2, 3));
+            let properties = mutator.massProperties(2);
+            expect(properties.volume).to.be.closeTo(6000, 0.0001);
+            expect(properties.mass).to.be.closeTo(12000, 0.0001);
+            expect(properties.surfaceArea).to.be.closeTo(2200, 0.0001);
+            expect(properties.centerOfMass.distanceTo(new THREE.Vector3(1, 2, 3))).to.be.below(0.0001);
+            // A box has principal moments m(b^2+c^2)/12 and no products of inertia.
+            let expectedTensor = [12000*(20*20 + 30*30)/12, 0, 0,
+                                  0, 12000*(30*30 + 10*10)/12, 0,
+                                  0, 0, 12000*(10*10 + 20*20)/12];
+            properties.inertiaTensor.elements.forEach((element, i) => {
+                expect(element).to.be.closeTo(expectedTensor[i], 0.01);
+            });
+        });
+
+        it("should refuse a density that isn't positive", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 20, 30));
+            for (let density of [0, -1, NaN]) {
+                expect(() => mutator.massProperties(density)).to.throw(Error, 'density');
+            }
+        });
+
+        it("should find the volume of each island", function () {
+            let stl = fs.readFileSync("test/data/rubix.stl", {encoding: "binary"});
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+            expect(mutator.massProperties().volume).to.be.closeTo(27000, 0.01);
+            for (let island of mutator.isolate()) {
+                expect(island.massProperties().volume).to.be.closeTo(1000, 0.01);
+            }
+        });
+
+        it("should have a negative volume when inside out", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                new THREE.BoxBufferGeometry(10, 20, 30).scale(-1, 1, 1));
+            let properties = mutator.massProperties();
+            expect(properties.volume).to.be.closeTo(-6000, 0.0001);
+            expect(properties.surfaceArea).to.be.closeTo(2200, 0.0001);
+        });
+    });
+
+    describe("chopGrid", function() {
+        let leaves = function (part) {
+            return part.children.length == 0 ? [part] : [].concat(...part.children.map(leaves));
+        };
+
+        it("should chop a box into 3 by 2 pieces", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(30, 20, 10));
+            let positions = mutator.positions.slice(0);
+            let xPlanes = [new THREE.Plane(new THREE.Vector3(1, 0, 0), -5),
+                           new THREE.Plane(new THREE.Vector3(1, 0, 0), 5)];
+            let yPlanes = [new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)];
+            let root = mutator.chopGrid([xPlanes, yPlanes]);
+            expect(mutator.positions).to.deep.equal(positions);
+            expect(root.children.map((part) => part.cell)).to.deep.equal([[0], [1], [2]]);
+            let pieces = leaves(root);
+            expect(pieces.map((part) => part.cell)).to.deep.equal([[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [2, 1]]);
+            for (let piece of pieces) {
+                expect(piece.mutator.neighbors.every(hasNeighbor)).to.be.true;
+                expect(piece.mutator.massProperties().volume).to.be.closeTo(1000, 0.0001);
+                let center = piece.mutator.massProperties().centerOfMass;
+                expect(center.x).to.be.closeTo(piece.cell[0]*10 - 10, 0.0001);
+                expect(center.y).to.be.closeTo(piece.cell[1]*10 - 5, 0.0001);
+            }
+        });
+
+        it("should leave out empty cells", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10));
+            let root = mutator.chopGrid([[new THREE.Plane(new THREE.Vector3(1, 0, 0), 20),
+                                          new THREE.Plane(new THREE.Vector3(1, 0, 0), 0)]]);
+            expect(root.children.map((part) => part.cell)).to.deep.equal([[1], [2]]);
+        });
+
+        it("should sort planes that face different ways", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(30, 10, 10));
+            // x = 5, x = -5 and x = 0.
+            let root = mutator.chopGrid([[new THREE.Plane(new THREE.Vector3(2, 0, 0), -10),
+                                          new THREE.Plane(new THREE.Vector3(-1, 0, 0), -5),
+                                          new THREE.Plane(new THREE.Vector3(1, 0, 0), 0)]]);
+            expect(root.children.map((part) => part.cell)).to.deep.equal([[0], [1], [2], [3]]);
+            let volumes = root.children.map((part) => part.mutator.massProperties().volume);
+            expect(volumes.map((volume) => Math.round(volume))).to.deep.equal([1000, 500, 500, 1000]);
+            let centers = root.children.map((part) => part.mutator.massProperties().centerOfMass.x);
+            expect(centers.map((x) => Math.round(x*10)/10)).to.deep.equal([-10, -2.5, 2.5, 10]);
+        });
+    });
+
+    describe("chop with connectors", function() {
+        let box = () => new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+        let plane = new THREE.Plane(new THREE.Vector3(1, 0, 0), 0);
+        // The area of a cylinder with 16 sides.
+        let area = (radius) => 16/2 * radius*radius * Math.sin(Math.PI*2/16);
+        let expectClosed = function (mutators) {
+            for (let mutator of mutators) {
+                expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+                expect(Array.from(mutator.isolate()).length).to.equal(1);
+            }
+        };
+
+        it("should add pins and holes", function () {
+            this.timeout(30000);
+            let sides = box().chop(plane, {connectors: {type: 'pin', count: 2, radialSegments: 16}});
+            expectClosed(sides);
+            expect(sides[0].massProperties().volume).to.be.closeTo(4000 + 2 * area(2)*4, 0.001);
+            expect(sides[1].massProperties().volume).to.be.closeTo(4000 - 2 * area(2.2)*4.2, 0.001);
+        });
+
+        it("should add holes for dowels to both sides", function () {
+            this.timeout(30000);
+            let sides = box().chop(plane, {connectors: {type: 'dowel', radialSegments: 16}});
+            expectClosed(sides);
+            for (let side of sides) {
+                expect(side.massProperties().volume).to.be.closeTo(4000 - area(2.2)*4.2, 0.001);
+            }
+        });
+
+        it("should add a dovetail", function () {
+            this.timeout(30000);
+            let sides = box().chop(plane, {connectors: {type: 'dovetail', clearance: 0}});
+            expectClosed(sides);
+            // 4 long, 4 wide at the cut and 6 wide at the tip, 4 along the slot.
+            expect(sides[0].massProperties().volume).to.be.closeTo(4000 + 20*4, 0.001);
+            // The slot runs from 2 past the middle of the cut out to its edge.
+            expect(sides[1].massProperties().volume).to.be.closeTo(4000 - 20*12, 0.001);
+        });
+
+        it("should keep pins from going through a thin side", function () {
+            this.timeout(30000);
+            let sides = box().chop(new THREE.Plane(new THREE.Vector3(1, 0, 0), 9), {connectors: {type: 'pin', radialSegments: 16}});
+            expectClosed(sides);
+            // The pin only goes into the side by half its thickness so
+            // it doesn't come out the back.
+            expect(sides[0].massProperties().volume).to.be.closeTo(400 + area(2)*4, 0.001);
+        });
+
+        it("should leave out holes that would go through a thin side", function () {
+            let sides = box().chop(new THREE.Plane(new THREE.Vector3(1, 0, 0), -8), {connectors: {type: 'pin'}});
+            expect(sides.map((side) => side.massProperties().volume)).to.deep.equal([7200, 800]);
+        });
+
+        it("should leave out connectors that don't fit", function () {
+            let sides = box().chop(plane, {connectors: {radius: 8}});
+            expect(sides.map((side) => side.massProperties().volume)).to.deep.equal([4000, 4000]);
+        });
+
+        it("should throw for an unknown connector", function () {
+            expect(() => box().chop(plane, {connectors: {type: 'nail'}})).to.throw('Unknown connector type: nail');
+        });
+    });
+
+    describe("decimate", function() {
+        // Every edge has a neighbor that has it as a neighbor.
+        let expectConsistentNeighbors = function (mutator, closed = true) {
+            mutator.neighbors.forEach((neighbor, edge) => {
+                if (hasNeighbor(neighbor)) {
+                    expect(mutator.neighbors[neighbor]).to.equal(edge);
+                } else {
+                    expect(closed).to.be.false;
+                }
+            });
+        };
+
+        it("should reduce a sphere to the number of faces", function () {
+            let geometry = new THREE.IcosahedronBufferGeometry(10, 3);
+            let colors = new Float32Array(geometry.getAttribute('position').count * 3).fill(0.5);
+            geometry.addAttribute('color', new THREE.BufferAttribute(colors, 3));
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            let volume = mutator.massProperties().volume;
+            expect(mutator.decimate({faces: 100})).to.equal(1180);
+            expect(mutator.positions.length / 9).to.equal(100);
+            expect(mutator.colors.length).to.equal(mutator.positions.length);
+            expect(mutator.colors.every((color) => color == 0.5)).to.be.true;
+            expectConsistentNeighbors(mutator);
+            expect(new Set(mutator.reverseIslands).size).to.equal(1);
+            expect(mutator.massProperties().volume).to.be.closeTo(volume, volume * 0.05);
+        });
+
+        it("should only remove faces that don't change the shape under the error", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10, 4, 4, 4));
+            mutator.decimate({faces: 0, maxError: 1e-9});
+            expect(mutator.positions.length / 9).to.equal(12);
+            expectConsistentNeighbors(mutator);
+            expect(mutator.massProperties().volume).to.be.closeTo(1000, 0.0001);
+        });
+
+        it("should keep the boundary", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10, 10, 10));
+            let boundaryLength = function () {
+                let length = 0;
+                mutator.neighbors.forEach((neighbor, edge) => {
+                    if (!hasNeighbor(neighbor)) {
+                        length += mutator.vector3FromPosition(edge*3).distanceTo(
+                            mutator.vector3FromPosition(mutator.nextPositionInFace(edge*3)));
+                    }
+                });
+                return length;
+            };
+            mutator.decimate({faces: 2});
+            expect(mutator.positions.length / 9).to.be.below(200);
+            expectConsistentNeighbors(mutator, false);
+            expect(boundaryLength()).to.be.closeTo(40, 0.0001);
+            expect(mutator.massProperties().surfaceArea).to.be.closeTo(100, 0.0001);
+        });
+
+        it("should keep the islands", function () {
+            let sphere = new THREE.IcosahedronBufferGeometry(5, 2);
+            let positions = sphere.getAttribute('position').array;
+            let geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.BufferAttribute(
+                Float32Array.from([...positions, ...sphere.clone().translate(20, 0, 0).getAttribute('position').array]), 3));
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            mutator.decimate({faces: 0});
+            // Each island is as small as it can be, a tetrahedron.
+            expect(mutator.positions.length / 9).to.equal(8);
+            expectConsistentNeighbors(mutator);
+            expect(Array.from(mutator.isolate()).length).to.equal(2);
+        });
+    });
+
+    describe("subdivide", function() {
+        // Every edge has a neighbor that goes the other way along it.
+        let expectClosed = function (mutator) {
+            mutator.neighbors.forEach((neighbor, edge) => {
+                expect(mutator.neighbors[neighbor]).to.equal(edge);
+                expect(mutator.equalTrios(edge*3, mutator.nextPositionInFace(neighbor*3))).to.be.true;
+                expect(mutator.equalTrios(neighbor*3, mutator.nextPositionInFace(edge*3))).to.be.true;
+            });
+        };
+
+        it("should split faces at their midpoints without changing the shape", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 10, 10);
+            let colors = [];
+            for (let i = 0; i < geometry.getAttribute('position').count; i++) {
+                colors.push(i % 2, 0, 1);
+            }
+            geometry.addAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            mutator.subdivide({scheme: 'midpoint', iterations: 2});
+            expect(mutator.positions.length / 9).to.equal(12 * 16);
+            expectClosed(mutator);
+            expect(mutator.massProperties().volume).to.be.closeTo(1000, 0.0001);
+            expect(mutator.massProperties().surfaceArea).to.be.closeTo(600, 0.0001);
+            // Halfway between red and the other colors.
+            expect(mutator.colors.some((color, i) => i % 3 == 0 && color == 0.5)).to.be.true;
+            expect(mutator.colors.every((color, i) => i % 3 != 2 || color == 1)).to.be.true;
+        });
+
+        it("should smooth an icosahedron toward a sphere", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 0));
+            mutator.subdivide({iterations: 3});
+            expect(mutator.positions.length / 9).to.equal(20 * 64);
+            expectClosed(mutator);
+            let radii = [];
+            for (let position = 0; position < mutator.positions.length; position += 3) {
+                radii.push(mutator.vector3FromPosition(position).length());
+            }
+            expect(Math.max(...radii) - Math.min(...radii)).to.be.below(0.1);
+        });
+
+        it("should keep edges sharper than the crease angle", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10));
+            let smooth = mutator.clone().subdivide({iterations: 2});
+            expect(smooth.massProperties().volume).to.be.below(1000);
+            mutator.subdivide({iterations: 2, creaseAngle: 45});
+            expectClosed(mutator);
+            expect(mutator.massProperties().volume).to.be.closeTo(1000, 0.0001);
+        });
+
+        it("should keep the boundary in the plane", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10, 2, 2));
+            mutator.subdivide();
+            expect(mutator.neighbors.filter((neighbor) => !hasNeighbor(neighbor)).length).to.equal(16);
+            expect(mutator.positions.every((value, i) => i % 3 != 2 || value == 0)).to.be.true;
+        });
+
+        it("should throw for an unknown scheme", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10));
+            expect(() => mutator.subdivide({scheme: 'cubic'})).to.throw('Unknown subdivision scheme: cubic');
+        });
+    });
+
+    describe("hollow", function() {
+        it("should leave walls of the thickness", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let result = mutator.hollow(2);
+            expect(result).to.deep.equal({hollowed: true, intersectingFaces: [], drainHoles: 0});
+            expect(mutator.massProperties().volume).to.be.closeTo(8000 - 16*16*16, 0.0001);
+            expect(mutator.neighbors.every((neighbor, edge) => mutator.neighbors[neighbor] == edge)).to.be.true;
+            // The inside is part of the same island.
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+        });
+
+        it("should hollow a sphere", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 2));
+            let volume = mutator.massProperties().volume;
+            expect(mutator.hollow(1).hollowed).to.be.true;
+            // About the volume of a sphere of radius 9 less.
+            expect(mutator.massProperties().volume).to.be.closeTo(volume * (1 - 0.9*0.9*0.9), volume * 0.02);
+        });
+
+        it("should refuse walls thicker than the shape", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let result = mutator.hollow(12);
+            expect(result.hollowed).to.be.false;
+            expect(result.intersectingFaces.length).to.equal(12);
+            expect(mutator.positions.length / 9).to.equal(12);
+            expect(mutator.hollow(12, {allowIntersections: true}).hollowed).to.be.true;
+            expect(mutator.positions.length / 9).to.equal(24);
+        });
+
+        it("should drill drain holes", function () {
+            this.timeout(30000);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let result = mutator.hollow(2, {drainHoles: [new THREE.Vector3(0, 0, -10), new THREE.Vector3(3, 10, 3)],
+                                            drainHoleRadius: 1});
+            expect(result.drainHoles).to.equal(2);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            // Each hole is a 16 sided prism through the 2 thick wall.
+            let hole = 16/2 * Math.sin(2*Math.PI/16) * 2;
+            expect(mutator.massProperties().volume).to.be.closeTo(8000 - 16*16*16 - 2*hole, 0.001);
+        });
+
+        it("should drill drain holes from the nearest point on the surface", function () {
+            this.timeout(30000);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let result = mutator.hollow(2, {drainHoles: [new THREE.Vector3(0, 0, -11), new THREE.Vector3(3, 9, 3),
+                                                         new THREE.Vector3(0, 0, 0), new THREE.Vector3(30, 0, 0)]});
+            // The points in the middle and far outside aren't on the surface.
+            expect(result.drainHoles).to.equal(2);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            let hole = 16/2 * Math.sin(2*Math.PI/16) * 2;
+            expect(mutator.massProperties().volume).to.be.closeTo(8000 - 16*16*16 - 2*hole, 0.001);
+        });
+
+        it("should leave open islands alone", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10));
+            expect(mutator.hollow(1).hollowed).to.be.true;
+            expect(mutator.positions.length / 9).to.equal(2);
+        });
+    });
+
+    describe("selfIntersections", function() {
+        // One shape with the faces of all the geometries.
+        let together = function (...geometries) {
+            let positions = [];
+            for (let geometry of geometries) {
+                positions.push(...geometry.getAttribute('position').array);
+            }
+            let geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            return new BufferGeometryMutator().fromBufferGeometry(geometry);
+        };
+
+        it("should find crossing faces", function () {
+            let mutator = together(new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed(),
+                                   new THREE.BoxBufferGeometry(10, 10, 10).translate(5, 5, 5).toNonIndexed());
+            let pairs = mutator.selfIntersections();
+            expect(pairs.length).to.be.above(0);
+            for (let [faceIndex, otherFace] of pairs) {
+                // Each pair has a face from each box.
+                expect(faceIndex).to.be.below(12);
+                expect(otherFace).to.be.at.least(12);
+            }
+            expect(mutator.positions.length / 9).to.equal(24);
+        });
+
+        // A shape with the faces, each a list of 9 coordinates.
+        let faces = function (...coordinates) {
+            let geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.Float32BufferAttribute([].concat(...coordinates), 3));
+            return new BufferGeometryMutator().fromBufferGeometry(geometry);
+        };
+
+        it("should find faces folded through each other around a point", function () {
+            // Both go out along the x axis from the origin.
+            let flat = [0, 0, 0, 4, -1, 0, 4, 1, 0];
+            expect(faces(flat, [0, 0, 0, 4, 0, 1, 4, 0, -1]).selfIntersections()).to.deep.equal([[0, 1]]);
+            // The second one goes the other way.
+            expect(faces(flat, [0, 0, 0, -4, 0, -1, -4, 0, 1]).selfIntersections()).to.deep.equal([]);
+        });
+
+        it("should find faces that overlap in the same plane", function () {
+            let flat = [0, 0, 0, 4, 0, 0, 0, 4, 0];
+            // No points in common.
+            expect(faces(flat, [1, 1, 0, 5, 1, 0, 1, 5, 0]).selfIntersections()).to.deep.equal([[0, 1]]);
+            // Edges that cross without a point in the other face.
+            expect(faces(flat, [3, 3, 0, -1, 2, 0, 2, -1, 0]).selfIntersections()).to.deep.equal([[0, 1]]);
+            // A shared edge, folded onto the same side of it.
+            expect(faces(flat, [4, 0, 0, 0, 0, 0, 1, 1, 0]).selfIntersections()).to.deep.equal([[0, 1]]);
+            // A shared point with the corners overlapping.
+            expect(faces(flat, [0, 0, 0, 1, 3, 0, 3, 1, 0]).selfIntersections()).to.deep.equal([[0, 1]]);
+            // Next to each other, like the faces of a flat surface.
+            expect(faces(flat, [4, 0, 0, 4, 4, 0, 0, 4, 0]).selfIntersections()).to.deep.equal([]);
+            expect(faces(flat, [0, 0, 0, -4, 0, 0, 0, -4, 0]).selfIntersections()).to.deep.equal([]);
+        });
+
+        it("should find nothing in a shape that doesn't cross itself", function () {
+            let stl = fs.readFileSync("test/data/hollow_cube.stl", {encoding: "binary"});
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+            expect(mutator.selfIntersections({resolve: true})).to.deep.equal([]);
+        });
+
+        it("should resolve crossing boxes into one shape", function () {
+            let mutator = together(new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed(),
+                                   new THREE.BoxBufferGeometry(10, 10, 10).translate(5, 5, 5).toNonIndexed());
+            mutator.selfIntersections({resolve: true});
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+            expect(mutator.massProperties().volume).to.be.closeTo(1000 + 1000 - 125, 0.0001);
+            expect(mutator.selfIntersections()).to.deep.equal([]);
+        });
+
+        it("should resolve crossing spheres like a union", function () {
+            this.timeout(30000);
+            let a = new THREE.IcosahedronBufferGeometry(10, 2);
+            let b = new THREE.IcosahedronBufferGeometry(10, 2).translate(8, 3, 1);
+            let union = new BufferGeometryMutator().fromBufferGeometry(a).union(new BufferGeometryMutator().fromBufferGeometry(b));
+            let mutator = together(a, b);
+            mutator.selfIntersections({resolve: true});
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(mutator.massProperties().volume).to.be.closeTo(union.massProperties().volume, 0.01);
+        });
+    });
+
+    describe("repairNonManifold", function() {
+        let load = function (filename) {
+            let stl = fs.readFileSync("test/data/" + filename + ".stl", {encoding: "binary"});
+            return new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+        };
+
+        it("should split tetrahedrons that share an edge", function () {
+            let mutator = load("edge_connected_tetrahedrons");
+            let volume = mutator.massProperties().volume;
+            let report = mutator.repairNonManifold();
+            expect(report.edges.length).to.equal(1);
+            expect(report.edges[0].faces.length).to.equal(4);
+            // Both ends of the edge are where the tetrahedrons touch.
+            expect(report.vertices.length).to.equal(2);
+            for (let vertex of report.vertices) {
+                expect(vertex.fans.length).to.equal(2);
+                expect([report.edges[0].start, report.edges[0].end].some((point) => point.equals(vertex.point))).to.be.true;
+            }
+            expect(mutator.massProperties().volume).to.be.closeTo(volume, volume * 0.01);
+
+            // Read again, the tetrahedrons don't touch anymore.
+            let repaired = new BufferGeometryMutator().fromBufferGeometry(mutator.bufferGeometry());
+            expect(repaired.repairNonManifold()).to.deep.equal({edges: [], vertices: []});
+            expect(Array.from(repaired.isolate()).length).to.equal(2);
+        });
+
+        it("should split boxes that touch at a corner", function () {
+            let positions = Array.from(new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed().getAttribute('position').array);
+            positions.push(...new THREE.BoxBufferGeometry(10, 10, 10).translate(10, 10, 10).toNonIndexed().getAttribute('position').array);
+            let geometry = new THREE.BufferGeometry();
+            geometry.addAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry);
+            let report = mutator.repairNonManifold();
+            expect(report.edges).to.deep.equal([]);
+            expect(report.vertices.length).to.equal(1);
+            expect(report.vertices[0].point.equals(new THREE.Vector3(5, 5, 5))).to.be.true;
+            let repaired = new BufferGeometryMutator().fromBufferGeometry(mutator.bufferGeometry());
+            expect(repaired.repairNonManifold().vertices).to.deep.equal([]);
+        });
+
+        it("should only report with no separation", function () {
+            let mutator = load("face_connected_tetrahedrons");
+            let positions = mutator.positions.slice(0);
+            let report = mutator.repairNonManifold({separation: 0});
+            expect(report.edges.length).to.equal(3);
+            expect(report.vertices.length).to.equal(3);
+            expect(mutator.positions).to.deep.equal(positions);
+        });
+
+        it("should leave an open but manifold shape alone", function () {
+            let mutator = load("tetrahedron_non_manifold");
+            let positions = mutator.positions.slice(0);
+            expect(mutator.repairNonManifold()).to.deep.equal({edges: [], vertices: []});
+            expect(mutator.positions).to.deep.equal(positions);
+        });
+    });
+
+    describe("geometry problems", function() {
+        let load = function (filename, options) {
+            let stl = fs.readFileSync("test/data/" + filename + ".stl", {encoding: "binary"});
+            return new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl), options);
+        };
+
+        it("should throw for coordinates that aren't numbers", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed();
+            geometry.getAttribute('position').setX(7, NaN);
+            expect(() => new BufferGeometryMutator().fromBufferGeometry(geometry)).to.throw(GeometryError)
+                .that.is.an.instanceof(Error)
+                .with.property('problems').that.deep.equals([{reason: 'nanCoordinates', faces: [2], edge: null}]);
+        });
+
+        it("should find the edges of a hole", function () {
+            let mutator = load("tetrahedron_non_manifold");
+            let problems = mutator.geometryProblems();
+            expect(problems.length).to.equal(3);
+            for (let problem of problems) {
+                expect(problem.reason).to.equal('oddEdgeCount');
+                expect(problem.faces.length).to.equal(1);
+            }
+            expect(mutator.geometryProblems({unmatched: true})).to.deep.equal(problems);
+            expect(() => load("tetrahedron_non_manifold", {strict: true})).to.throw(GeometryError)
+                .with.property('problems').that.deep.equals(problems);
+        });
+
+        it("should find a flipped face", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed();
+            let positions = geometry.getAttribute('position');
+            // Swap the first two points of the first face.
+            let first = [positions.getX(0), positions.getY(0), positions.getZ(0)];
+            positions.setXYZ(0, positions.getX(1), positions.getY(1), positions.getZ(1));
+            positions.setXYZ(1, ...first);
+            expect(() => new BufferGeometryMutator().fromBufferGeometry(geometry, {strict: true})).to.throw(GeometryError)
+                .with.property('problems').that.has.length(3)
+                .and.satisfies((problems) => problems.every((problem) =>
+                    problem.reason == 'inconsistentWinding' && problem.faces.indexOf(0) >= 0));
+        });
+
+        it("should find an edge with four faces", function () {
+            let problems = load("edge_connected_tetrahedrons").geometryProblems();
+            expect(problems.length).to.equal(1);
+            expect(problems[0].reason).to.equal('nonManifoldEdge');
+            expect(problems[0].faces.length).to.equal(4);
+            expect(problems[0].edge.start.distanceTo(problems[0].edge.end)).to.be.above(0);
+        });
+
+        it("should accept a closed shape when strict", function () {
+            expect(load("tetrahedron", {strict: true}).geometryProblems()).to.deep.equal([]);
+        });
+    });
+
+    describe("weld", function() {
+        // A box with float noise in every coordinate.
+        let noisyBox = function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed();
+            let array = geometry.getAttribute('position').array;
+            for (let i = 0; i < array.length; i++) {
+                array[i] += ((i*7) % 11 - 5) * 1e-6;
+            }
+            return geometry;
+        };
+        let vertexCount = function (mutator) {
+            let keys = new Set();
+            for (let position = 0; position < mutator.positions.length; position += 3) {
+                keys.add(mutator.keyForTrio(position));
+            }
+            return keys.size;
+        };
+
+        it("should leave noisy points apart without a precision", function () {
+            expect(() => new BufferGeometryMutator().fromBufferGeometry(noisyBox(), {strict: true})).to.throw(GeometryError);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(noisyBox());
+            expect(mutator.weldedVertices).to.equal(0);
+            expect(mutator.neighbors.some((neighbor) => !hasNeighbor(neighbor))).to.be.true;
+        });
+
+        it("should weld noisy points before finding neighbors", function () {
+            let geometry = noisyBox();
+            let noisyVertices = vertexCount(new BufferGeometryMutator().fromBufferGeometry(geometry));
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(geometry, {precisionPoints: 4});
+            expect(vertexCount(mutator)).to.equal(8);
+            expect(mutator.weldedVertices).to.equal(noisyVertices - 8);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+        });
+
+        it("should not weld points further apart than the precision", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(noisyBox());
+            expect(mutator.weld(6)).to.equal(0);
+            expect(mutator.weld(3)).to.be.above(0);
+            mutator.findNeighbors();
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+        });
+    });
+
+    describe("fillHoles", function() {
+        // The geometry without the faces whose middles are above z.
+        let cut = function (geometry, z) {
+            let array = geometry.getAttribute('position').array;
+            let positions = [];
+            for (let i = 0; i < array.length; i += 9) {
+                if ((array[i+2] + array[i+5] + array[i+8]) / 3 <= z) {
+                    positions.push(...array.slice(i, i+9));
+                }
+            }
+            let newGeometry = new THREE.BufferGeometry();
+            newGeometry.addAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            return new BufferGeometryMutator().fromBufferGeometry(newGeometry);
+        };
+        let expectClosed = function (mutator) {
+            for (let i = 0; i < mutator.neighbors.length; i++) {
+                expect(mutator.neighbors[mutator.neighbors[i]]).to.equal(i);
+            }
+        };
+
+        it("should fill the open side of a box", function () {
+            let mutator = cut(new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed(), 4.9);
+            expect(mutator.fillHoles()).to.equal(1);
+            expectClosed(mutator);
+            expect(mutator.positions.length / 9).to.equal(12);
+            expect(mutator.massProperties().volume).to.be.closeTo(1000, 0.0001);
+            expect(Array.from(mutator.isolate()).length).to.equal(1);
+        });
+
+        it("should fill holes with many points with a fan", function () {
+            let sides = 300;
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(
+                new THREE.CylinderBufferGeometry(5, 5, 10, sides, 1, true), {precisionPoints: 6});
+            expect(mutator.fillHoles()).to.equal(2);
+            expectClosed(mutator);
+            expect(mutator.positions.length / 9).to.equal(sides*2 + (sides - 2)*2);
+            let area = sides/2 * 5*5 * Math.sin(Math.PI*2/sides);
+            expect(mutator.massProperties().volume).to.be.closeTo(area*10, 0.001);
+        });
+
+        it("should make faces like the ones around the hole when refining", function () {
+            let largestNewFace = function (options) {
+                let mutator = cut(new THREE.IcosahedronBufferGeometry(10, 3), 6);
+                let faceCount = mutator.positions.length / 9;
+                mutator.fillHoles(options);
+                expectClosed(mutator);
+                let largest = 0;
+                for (let faceIndex = faceCount; faceIndex < mutator.positions.length / 9; faceIndex++) {
+                    let [a, b, c] = mutator.vector3sFromPositions(mutator.positionsFromFace(faceIndex));
+                    largest = Math.max(largest, new THREE.Triangle(a, b, c).area());
+                }
+                return largest;
+            };
+            let sphere = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3));
+            let faceArea = new THREE.Triangle(...sphere.vector3sFromPositions(sphere.positionsFromFace(0))).area();
+            expect(largestNewFace({})).to.be.above(faceArea * 10);
+            expect(largestNewFace({refine: true})).to.be.below(faceArea * 4);
+        });
+
+        it("should follow the curve of the surface when fairing", function () {
+            let volume = (options) => {
+                let mutator = cut(new THREE.IcosahedronBufferGeometry(10, 3), 6);
+                mutator.fillHoles(options);
+                expectClosed(mutator);
+                return mutator.massProperties().volume;
+            };
+            let sphere = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3)).massProperties().volume;
+            let flat = volume({});
+            let faired = volume({refine: true, fair: true});
+            expect(faired).to.be.above(flat);
+            expect(sphere - faired).to.be.below((sphere - flat) / 2);
+        });
+
+        it("should leave faces without an island alone when fixing holes by island", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10));
+            // Take the second face out of the shape.
+            for (let edge = 3; edge < 6; edge++) {
+                if (hasNeighbor(mutator.neighbors[edge])) {
+                    mutator.neighbors[mutator.neighbors[edge]] = -1;
+                    mutator.neighbors[edge] = -1;
+                }
+            }
+            mutator.reverseIslands[1] = -1;
+            mutator.fixHolesByIsland();
+            // Only the first face is closed, by a face on its back.
+            expect(mutator.positions.length / 9).to.equal(3);
+            expect(Array.from(mutator.reverseIslands)).to.deep.equal([0, -1, 0]);
+        });
+    });
+
+    describe("MutatorHistory", function() {
+        let state = (mutator) => ({positions: mutator.positions.slice(0),
+                                   neighbors: mutator.neighbors.slice(0),
+                                   reverseIslands: mutator.reverseIslands.slice(0)});
+        let box = () => new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10));
+
+        it("should undo and redo operations", function () {
+            let mutator = box();
+            let history = new MutatorHistory(mutator);
+            let original = state(mutator);
+            let sides = history.apply('chop', (m) => m.chop(new THREE.Plane(new THREE.Vector3(1, 0, 0), 1)));
+            expect(sides.length).to.equal(2);
+            let chopped = state(mutator);
+            expect(chopped).to.not.deep.equal(original);
+            history.apply('subdivide', (m) => m.subdivide({scheme: 'midpoint'}));
+            let subdivided = state(mutator);
+
+            expect(history.undo()).to.equal('subdivide');
+            expect(state(mutator)).to.deep.equal(chopped);
+            expect(history.undo()).to.equal('chop');
+            expect(state(mutator)).to.deep.equal(original);
+            expect(history.canUndo()).to.be.false;
+            expect(history.undo()).to.be.null;
+
+            expect(history.redo()).to.equal('chop');
+            expect(history.redo()).to.equal('subdivide');
+            expect(state(mutator)).to.deep.equal(subdivided);
+            expect(history.redo()).to.be.null;
+        });
+
+        it("should keep only what changed", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3));
+            let history = new MutatorHistory(mutator);
+            history.apply('move a point', (m) => {
+                m.positions[9] += 1;
+            });
+            expect(history.bytes).to.equal(2 * 8);
+            history.undo();
+            expect(mutator.positions[9]).to.equal(new THREE.IcosahedronBufferGeometry(10, 3).getAttribute('position').array[9]);
+        });
+
+        it("should find the faces that moved when faces are deleted", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3));
+            let original = state(mutator);
+            let meshBytes = mutator.positions.byteLength + mutator.neighbors.byteLength + mutator.reverseIslands.byteLength;
+            let history = new MutatorHistory(mutator);
+            history.apply('delete faces', (m) => {
+                for (let faceIndex of [10, 500, 1000]) {
+                    m.reverseIslands[faceIndex] = -1;
+                }
+                m.deleteDegenerates();
+            });
+            expect(mutator.positions.length / 9).to.equal(1277);
+            // The neighbors all change but the positions mostly don't.
+            expect(history.bytes).to.be.below(meshBytes * 2 / 3);
+            history.undo();
+            expect(state(mutator)).to.deep.equal(original);
+        });
+
+        it("should keep the last step even if it's over the memory limit", function () {
+            let history = new MutatorHistory(box(), {maxBytes: 1});
+            history.apply('subdivide', (m) => m.subdivide());
+            history.apply('subdivide again', (m) => m.subdivide());
+            expect(history.undo()).to.equal('subdivide again');
+            expect(history.canUndo()).to.be.false;
+        });
+
+        it("should forget what can be redone after a new operation", function () {
+            let mutator = box();
+            let history = new MutatorHistory(mutator);
+            history.apply('subdivide', (m) => m.subdivide());
+            history.undo();
+            history.apply('decimate', (m) => m.decimate({faces: 8}));
+            expect(history.canRedo()).to.be.false;
+            expect(history.undo()).to.equal('decimate');
+            expect(history.canUndo()).to.be.false;
+        });
+
+        it("should restore checkpoints", function () {
+            let mutator = box();
+            let history = new MutatorHistory(mutator);
+            history.checkpoint('start');
+            let original = state(mutator);
+            history.apply('subdivide', (m) => m.subdivide());
+            history.checkpoint('smooth');
+            let smooth = state(mutator);
+            history.apply('subdivide again', (m) => m.subdivide());
+            history.restore('start');
+            expect(state(mutator)).to.deep.equal(original);
+            history.restore('smooth');
+            expect(state(mutator)).to.deep.equal(smooth);
+            expect(history.canUndo()).to.be.true;
+            expect(history.canRedo()).to.be.true;
+            expect(() => history.restore('nowhere')).to.throw('Unknown checkpoint: nowhere');
+        });
+
+        it("should drop the oldest steps to stay under the memory limit", function () {
+            // Room for the second step, which is bigger, but not both.
+            let unlimited = new MutatorHistory(box());
+            unlimited.apply('subdivide', (m) => m.subdivide());
+            let firstBytes = unlimited.bytes;
+            unlimited.apply('subdivide again', (m) => m.subdivide());
+            let maxBytes = unlimited.bytes - firstBytes;
+            expect(maxBytes).to.be.above(firstBytes);
+
+            let history = new MutatorHistory(box(), {maxBytes: maxBytes});
+            history.checkpoint('start');
+            history.apply('subdivide', (m) => m.subdivide());
+            history.apply('subdivide again', (m) => m.subdivide());
+            expect(history.bytes).to.be.at.most(maxBytes);
+            expect(history.undo()).to.equal('subdivide again');
+            expect(history.canUndo()).to.be.false;
+            expect(() => history.restore('start')).to.throw('Unknown checkpoint: start');
+        });
+
+        it("should put the mutator back if the operation throws", function () {
+            let mutator = box();
+            let history = new MutatorHistory(mutator);
+            let original = state(mutator);
+            expect(() => history.apply('bad', (m) => {
+                m.subdivide();
+                m.subdivide({scheme: 'unknown'});
+            })).to.throw('Unknown subdivision scheme');
+            expect(state(mutator)).to.deep.equal(original);
+            expect(history.canUndo()).to.be.false;
+        });
+    });
+
+    describe("MutatorWorker", function() {
+        let worker;
+        before(function () {
+            // A worker_threads Worker that runs the source, compiled
+            // like the tests are.
+            let { Worker } = require('worker_threads');
+            let source = JSON.stringify(require('path').resolve('src/analyzers/MutatorWorker.js'));
+            worker = new MutatorWorker(new Worker(
+                "require('babel-register'); require('jsdom-global')(); require('babel-polyfill');" +
+                "require(" + source + ").MutatorWorker.serve(require('worker_threads').parentPort);",
+                {eval: true}));
+        });
+        after(function () {
+            return worker.terminate();
+        });
+
+        it("should chop in the worker", function () {
+            this.timeout(10000);
+            let box = new THREE.BoxBufferGeometry(10, 10, 10);
+            return worker.fromBufferGeometry(box).then((handle) => {
+                // The geometry still has its arrays.
+                expect(box.getAttribute('position').array.length).to.equal(24*3);
+                return worker.chop(handle, new THREE.Plane(new THREE.Vector3(1, 0, 0), 1));
+            }).then((pieces) => {
+                expect(pieces.length).to.equal(2);
+                let volumes = pieces.map((piece) => new BufferGeometryMutator().fromBufferGeometry(piece.geometry).massProperties().volume);
+                expect(volumes[0] + volumes[1]).to.be.closeTo(1000, 0.0001);
+                expect(volumes[0]).to.be.closeTo(400, 0.0001);
+                return worker.isolate(pieces[0].handle);
+            }).then((islands) => {
+                expect(islands.length).to.equal(1);
+                return worker.fixHoles(islands[0].handle);
+            }).then((geometry) => {
+                expect(geometry.getAttribute('normal').count).to.equal(geometry.getAttribute('position').count);
+            });
+        });
+
+        it("should merge faces in the worker", function () {
+            let sphere = new THREE.IcosahedronBufferGeometry(10, 0);
+            return worker.fromBufferGeometry(sphere).then((handle) => {
+                return worker.mergeFaces(handle).then((geometry) => {
+                    expect(geometry.getAttribute('position').count).to.equal(60);
+                    return worker.release(handle);
+                }).then(() => worker.bufferGeometry(handle));
+            }).then(() => {
+                throw new Error('Should have failed');
+            }, (error) => {
+                expect(error.message).to.match(/Unknown mutator/);
+            });
+        });
+
+        it("should send indexed geometries", function () {
+            return worker.fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10)).then((handle) => {
+                return worker.bufferGeometry(handle, true);
+            }).then((geometry) => {
+                expect(geometry.getIndex().count).to.equal(36);
+                expect(geometry.getAttribute('position').count).to.equal(8);
+            });
+        });
+
+        it("should report progress and abort in the worker", function () {
+            this.timeout(10000);
+            let fractions = [];
+            let handle;
+            let count;
+            return worker.fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3)).then((newHandle) => {
+                handle = newHandle;
+                return worker.chop(handle, new THREE.Plane(new THREE.Vector3(0, 0, 1), 0),
+                                   {onProgress: (fraction) => fractions.push(fraction)});
+            }).then((pieces) => {
+                expect(pieces.length).to.equal(2);
+                expect(fractions.length).to.be.above(5);
+                expect(fractions[fractions.length-1]).to.equal(1);
+                return worker.bufferGeometry(handle);
+            }).then((geometry) => {
+                count = geometry.getAttribute('position').count;
+                let controller = new global.AbortController();
+                let merged = worker.mergeFaces(handle, {signal: controller.signal});
+                controller.abort();
+                return merged;
+            }).then(() => {
+                throw new Error('Should have failed');
+            }, (error) => {
+                expect(error).to.be.an.instanceof(AbortError);
+                return worker.bufferGeometry(handle);
+            }).then((geometry) => {
+                // The mutator was put back.
+                expect(geometry.getAttribute('position').count).to.equal(count);
+            });
+        });
+
+        it("should abort a waiting request with an abort message", function () {
+            this.timeout(10000);
+            // Without shared memory, only the abort message can stop the
+            // request, which waits for the merge before it.
+            let sharedArrayBuffer = global.SharedArrayBuffer;
+            global.SharedArrayBuffer = undefined;
+            let controller = new global.AbortController();
+            let handles = [];
+            let requests;
+            return worker.fromBufferGeometry(new THREE.IcosahedronBufferGeometry(10, 3)).then((handle) => {
+                handles.push(handle);
+                return worker.fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10, 4, 4, 4));
+            }).then((handle) => {
+                handles.push(handle);
+                requests = [worker.mergeFaces(handles[0]), worker.mergeFaces(handles[1], {signal: controller.signal})];
+                controller.abort();
+                global.SharedArrayBuffer = sharedArrayBuffer;
+                return requests[0];
+            }).then(() => requests[1]).then(() => {
+                throw new Error('Should have failed');
+            }, (error) => {
+                global.SharedArrayBuffer = sharedArrayBuffer;
+                expect(error).to.be.an.instanceof(AbortError);
+                return worker.bufferGeometry(handles[1]);
+            }).then((geometry) => {
+                expect(geometry.getAttribute('position').count).to.equal(6*16*2*3);
+            });
+        });
+
+        it("should pass GeometryErrors back", function () {
+            let geometry = new THREE.BoxBufferGeometry(10, 10, 10).toNonIndexed();
+            geometry.getAttribute('position').setX(7, NaN);
+            return worker.fromBufferGeometry(geometry).then(() => {
+                throw new Error('Should have failed');
+            }, (error) => {
+                expect(error).to.be.an.instanceof(GeometryError);
+                expect(error.problems).to.deep.equal([{reason: 'nanCoordinates', faces: [2], edge: null}]);
+            });
+        });
+    });
+
+    describe("progress and abort", function() {
+        let sphere = () => new THREE.IcosahedronBufferGeometry(10, 3);
+        let state = (mutator) => ({positions: mutator.positions.slice(0),
+                                   neighbors: mutator.neighbors.slice(0),
+                                   reverseIslands: mutator.reverseIslands.slice(0)});
+        // Options that record the progress and abort after fraction.
+        let recorder = function (fraction = Infinity) {
+            let options = {fractions: [], signal: {aborted: false}};
+            options.onProgress = (done) => {
+                options.fractions.push(done);
+                if (done >= fraction) {
+                    options.signal.aborted = true;
+                }
+            };
+            return options;
+        };
+        let expectIncreasingToOne = function (fractions) {
+            expect(fractions.length).to.be.above(5);
+            for (let i = 1; i < fractions.length; i++) {
+                expect(fractions[i]).to.be.above(fractions[i-1]);
+            }
+            expect(fractions[fractions.length-1]).to.equal(1);
+        };
+
+        it("should report the progress of reading a geometry", function () {
+            let options = recorder();
+            new BufferGeometryMutator().fromBufferGeometry(sphere(), options);
+            expectIncreasingToOne(options.fractions);
+        });
+
+        it("should report the progress of a chop", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(sphere());
+            let options = recorder();
+            expect(mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), options).length).to.equal(2);
+            expectIncreasingToOne(options.fractions);
+        });
+
+        it("should put the mutator back when a chop is aborted", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(sphere());
+            let before = state(mutator);
+            let options = recorder(0.3);
+            expect(() => mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), options)).to.throw(AbortError);
+            expect(options.fractions[options.fractions.length-1]).to.be.below(1);
+            expect(state(mutator)).to.deep.equal(before);
+            // It still works afterward.
+            expect(mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0)).length).to.equal(2);
+        });
+
+        it("should put the mutator back when merging faces or fixing holes is aborted", function () {
+            this.timeout(30000);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10, 4, 4, 4));
+            let before = state(mutator);
+            let error = null;
+            try {
+                mutator.mergeFaces(undefined, recorder(0.2));
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an.instanceof(AbortError);
+            expect(error.name).to.equal('AbortError');
+            expect(state(mutator)).to.deep.equal(before);
+
+            let stl = fs.readFileSync("test/data/egg_chopped.stl", {encoding: "binary"});
+            mutator = new BufferGeometryMutator().fromBufferGeometry(new STLLoader().parse(stl));
+            before = state(mutator);
+            expect(() => mutator.fixHoles(null, recorder(0.5))).to.throw(AbortError);
+            expect(state(mutator)).to.deep.equal(before);
+        });
+
+        it("should only copy the faces that a chop changes", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(sphere());
+            let before = state(mutator);
+            let options = recorder(0.4);
+            let keptFaces = 0;
+            let onProgress = options.onProgress;
+            options.onProgress = (done) => {
+                keptFaces = Math.max(keptFaces, mutator.keptFaces.faces.size);
+                onProgress(done);
+            };
+            expect(() => mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), options)).to.throw(AbortError);
+            expect(keptFaces).to.be.above(0);
+            expect(keptFaces).to.be.below(before.positions.length / 9 / 4);
+            expect(state(mutator)).to.deep.equal(before);
+            expect(mutator.keptFaces).to.equal(null);
+        });
+
+        it("should report the progress of boolean operations and connectors", function () {
+            this.timeout(30000);
+            let box = () => new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let other = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10).translate(10, 0, 0));
+            let options = recorder();
+            box().union(other, options);
+            expectIncreasingToOne(options.fractions);
+
+            options = recorder();
+            let sides = box().chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), Object.assign(options, {connectors: {type: 'pin', count: 2, radialSegments: 8}}));
+            expect(sides.length).to.equal(2);
+            expectIncreasingToOne(options.fractions);
+        });
+
+        it("should put the mutator back when a boolean operation or connectors are aborted", function () {
+            this.timeout(30000);
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(20, 20, 20));
+            let other = new BufferGeometryMutator().fromBufferGeometry(new THREE.BoxBufferGeometry(10, 10, 10).translate(10, 0, 0));
+            let before = state(mutator);
+            let otherBefore = state(other);
+            expect(() => mutator.difference(other, recorder(0.5))).to.throw(AbortError);
+            expect(state(mutator)).to.deep.equal(before);
+            expect(state(other)).to.deep.equal(otherBefore);
+
+            let options = Object.assign(recorder(0.6), {connectors: {type: 'pin', count: 2, radialSegments: 8}});
+            expect(() => mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), options)).to.throw(AbortError);
+            expect(options.fractions[options.fractions.length-1]).to.be.within(0.6, 0.99);
+            expect(state(mutator)).to.deep.equal(before);
+        });
+
+        it("should stop before starting if already aborted", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(sphere());
+            let before = state(mutator);
+            expect(() => mutator.findNeighbors({signal: {aborted: true}})).to.throw(AbortError);
+            expect(state(mutator)).to.deep.equal(before);
+        });
+    });
+
+    describe("storage", function() {
+        let expectTypedArrays = function (mutator) {
+            expect(mutator.positions).to.be.an.instanceof(Float64Array);
+            expect(mutator.colors).to.be.an.instanceof(Float32Array);
+            expect(mutator.neighbors).to.be.an.instanceof(Int32Array);
+            expect(mutator.reverseIslands).to.be.an.instanceof(Int32Array);
+            expect(mutator.colors.length).to.equal(mutator.positions.length);
+            expect(mutator.neighbors.length).to.equal(mutator.positions.length / 3);
+            expect(mutator.reverseIslands.length).to.equal(mutator.positions.length / 9);
+        };
+        let coloredSphere = function () {
+            let geometry = new THREE.IcosahedronBufferGeometry(10, 2);
+            geometry.addAttribute('color', new THREE.Float32BufferAttribute(
+                new Array(geometry.getAttribute('position').count * 3).fill(0.5), 3));
+            return new BufferGeometryMutator().fromBufferGeometry(geometry);
+        };
+
+        it("should keep the faces in typed arrays as they grow", function () {
+            let mutator = coloredSphere();
+            expectTypedArrays(mutator);
+            let faceCount = mutator.positions.length / 9;
+            mutator.splitFaces(new THREE.Plane(new THREE.Vector3(1, 1, 0).normalize(), 1));
+            expect(mutator.positions.length / 9).to.be.above(faceCount);
+            expectTypedArrays(mutator);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+            expect(mutator.reverseIslands.every((island) => island == mutator.reverseIslands[0])).to.be.true;
+            for (let piece of mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0))) {
+                expectTypedArrays(piece);
+            }
+        });
+
+        it("should mark edges without neighbors with -1", function () {
+            let mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10, 2, 2));
+            expect(Array.from(mutator.neighbors).filter((neighbor) => neighbor == -1).length).to.equal(8);
+            mutator.fixHoles();
+            expect(mutator.neighbors).to.be.an.instanceof(Int32Array);
+            expect(mutator.neighbors.every(hasNeighbor)).to.be.true;
+        });
+
+        it("should make geometries that don't share its arrays", function () {
+            let mutator = coloredSphere();
+            let geometry = mutator.bufferGeometry();
+            expect(geometry.getAttribute('position').array).to.be.an.instanceof(Float32Array);
+            expect(Array.from(geometry.getAttribute('position').array)).to.deep.equal(Array.from(new Float32Array(mutator.positions)));
+            geometry.getAttribute('color').array[0] = 1;
+            geometry.getAttribute('position').array[0] += 1;
+            expect(mutator.colors[0]).to.equal(0.5);
+            expect(mutator.bufferGeometry().getAttribute('position').array[0]).to.equal(geometry.getAttribute('position').array[0] - 1);
+        });
+
+        it("should let go of the room the arrays grew into when an operation is done", function () {
+            let tight = (array) => array.byteOffset == 0 && array.byteLength == array.buffer.byteLength;
+            let mutator = coloredSphere();
+            mutator.splitFaces(new THREE.Plane(new THREE.Vector3(1, 1, 0).normalize(), 1));
+            for (let array of [mutator.positions, mutator.colors, mutator.neighbors, mutator.reverseIslands]) {
+                expect(tight(array)).to.be.true;
+            }
+            for (let piece of mutator.chop(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0))) {
+                expect(tight(piece.positions)).to.be.true;
+                expect(tight(piece.neighbors)).to.be.true;
+            }
+            mutator = new BufferGeometryMutator().fromBufferGeometry(new THREE.PlaneBufferGeometry(10, 10, 2, 2));
+            mutator.fixHoles();
+            expect(tight(mutator.positions)).to.be.true;
+            expect(tight(mutator.reverseIslands)).to.be.true;
+        });
+    });
 });